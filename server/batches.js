@@ -0,0 +1,47 @@
+import { TERMINAL_STATUSES } from './jobStore.js';
+
+// Batches group the jobs created from one multi-file upload. A batch is not
+// stored separately: each of its jobs carries the batchId, and the batch
+// view is worked out from them.
+
+// Jobs that will not produce an output and so do not count towards progress
+const ABANDONED_STATUSES = ['failed', 'interrupted', 'cancelled'];
+
+// One status for the whole batch
+export function batchStatus(jobs) {
+  if (jobs.every(job => job.status === 'queued')) return 'queued';
+  if (jobs.some(job => !TERMINAL_STATUSES.includes(job.status))) return 'processing';
+  if (jobs.every(job => job.status === 'cancelled')) return 'cancelled';
+
+  const finished = jobs.filter(job => job.status === 'completed' || job.status === 'expired').length;
+  if (finished === jobs.length) return 'completed';
+  return finished > 0 ? 'partially_completed' : 'failed';
+}
+
+// Mean of the jobs' progress, weighted by their frame counts so long clips
+// count for more. `progressOf(job)` returns a job's overall progress.
+export function batchProgress(jobs, progressOf) {
+  let total = 0;
+  let done = 0;
+  for (const job of jobs.filter(job => !ABANDONED_STATUSES.includes(job.status))) {
+    const weight = job.media?.video?.frameCount || 1;
+    total += weight;
+    done += weight * progressOf(job);
+  }
+  if (total === 0) return 0;
+  return Math.round((done / total) * 10) / 10;
+}
+
+// File names inside the batch zip, made unique when sources share a name
+export function zipEntryNames(jobs) {
+  const used = new Set();
+  return jobs.map(job => {
+    const base = job.filename.replace(/\.[^/.]+$/, '') || 'video';
+    let name = `${base}_VR180.mp4`;
+    for (let n = 2; used.has(name); n++) {
+      name = `${base}_VR180 (${n}).mp4`;
+    }
+    used.add(name);
+    return name;
+  });
+}
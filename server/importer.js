@@ -0,0 +1,158 @@
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import path from 'path';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+// Downloads source videos for jobs created from a URL instead of an upload.
+
+// Servers often send videos as generic binary; ffprobe has the last word
+const ACCEPTED_CONTENT_TYPES = ['application/octet-stream', 'binary/octet-stream'];
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 5;
+
+// The source could not be fetched or is not acceptable
+export class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+// `allowedHosts` limits imports to those hostnames; empty allows any
+export function checkImportUrl(value, allowedHosts = []) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'url must be a valid URL';
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return 'url must be an http or https URL';
+  }
+  if (allowedHosts.length > 0 && !allowedHosts.includes(url.hostname)) {
+    return `Imports from ${url.hostname} are not allowed`;
+  }
+  return null;
+}
+
+// File name for the job, from the last part of the URL path
+export function importFilename(value) {
+  let name = '';
+  try {
+    name = path.basename(decodeURIComponent(new URL(value).pathname));
+  } catch {
+    // Malformed escapes; fall back to a generic name
+  }
+  return name || 'imported-video';
+}
+
+function isVideoContentType(contentType) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  return type.startsWith('video/') || ACCEPTED_CONTENT_TYPES.includes(type);
+}
+
+// Aborts once any of `signals` does (AbortSignal.any needs Node 18.17+)
+function anySignal(signals) {
+  const controller = new AbortController();
+  for (const signal of signals) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+      break;
+    }
+    signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+  }
+  return controller.signal;
+}
+
+// Fetches `url`, following redirects by hand so every hop goes through the
+// same checks as the URL the import was created with
+async function fetchSource(url, { allowedHosts, signal, userSignal }) {
+  let target = url;
+
+  for (let redirects = 0; ; redirects++) {
+    const urlError = checkImportUrl(target, allowedHosts);
+    if (urlError) {
+      throw new ImportError(target === url ? urlError : `Redirected to ${target}: ${urlError}`);
+    }
+
+    let response;
+    try {
+      response = await fetch(target, { signal, redirect: 'manual' });
+    } catch (error) {
+      if (userSignal?.aborted) throw error;
+      throw new ImportError(error.name === 'TimeoutError'
+        ? `Timed out connecting to ${new URL(target).host}`
+        : `Could not fetch ${target}: ${error.cause?.message || error.message}`);
+    }
+
+    const location = response.headers.get('location');
+    if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+      return response;
+    }
+
+    await response.body?.cancel();
+    if (redirects === MAX_REDIRECTS) {
+      throw new ImportError(`Source server redirected more than ${MAX_REDIRECTS} times`);
+    }
+    target = new URL(location, target).href;
+  }
+}
+
+// Streams `url` to `destination`, giving up after `timeoutMs` or once more
+// than `maxBytes` arrive. Redirects are only followed to `allowedHosts`, like
+// the URL itself. `onProgress(receivedBytes, totalBytes)` is called as data
+// comes in; totalBytes is null when the server does not say. Aborting
+// `signal` stops the download. Nothing is left at `destination` on failure.
+export async function downloadSource(url, destination, { maxBytes, timeoutMs, allowedHosts = [], signal, onProgress = () => {} }) {
+  const signals = [AbortSignal.timeout(timeoutMs)];
+  if (signal) signals.push(signal);
+
+  const response = await fetchSource(url, { allowedHosts, signal: anySignal(signals), userSignal: signal });
+
+  if (!response.ok) {
+    await response.body?.cancel();
+    throw new ImportError(`Source server responded with HTTP ${response.status}`);
+  }
+
+  const contentType = response.headers.get('content-type');
+  if (!isVideoContentType(contentType)) {
+    await response.body?.cancel();
+    throw new ImportError(`Source is not a video (Content-Type: ${contentType || 'none'})`);
+  }
+
+  const totalBytes = Number(response.headers.get('content-length')) || null;
+  if (totalBytes && totalBytes > maxBytes) {
+    await response.body?.cancel();
+    throw new ImportError(`Source is ${totalBytes} bytes; the limit is ${maxBytes}`);
+  }
+
+  let receivedBytes = 0;
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      receivedBytes += chunk.length;
+      if (receivedBytes > maxBytes) {
+        callback(new ImportError(`Source is larger than the limit of ${maxBytes} bytes`));
+        return;
+      }
+      onProgress(receivedBytes, totalBytes);
+      callback(null, chunk);
+    }
+  });
+
+  const tempPath = `${destination}.download`;
+  await fs.mkdir(path.dirname(destination), { recursive: true });
+  try {
+    await pipeline(Readable.fromWeb(response.body), counter, createWriteStream(tempPath));
+    await fs.rename(tempPath, destination);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    if (error instanceof ImportError || signal?.aborted) throw error;
+    throw new ImportError(error.name === 'TimeoutError'
+      ? `Download timed out after ${Math.round(timeoutMs / 1000)} seconds`
+      : `Download failed: ${error.message}`);
+  }
+
+  return { size: receivedBytes, contentType };
+}
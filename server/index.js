@@ -1,4 +1,5 @@
 import express from 'express';
+import { EventEmitter } from 'events';
 import multer from 'multer';
 import cors from 'cors';
 import path from 'path';
@@ -6,14 +7,52 @@ import fs from 'fs/promises';
 import { v4 as uuidv4 } from 'uuid';
 import ffmpeg from 'fluent-ffmpeg';
 import ffmpegStatic from 'ffmpeg-static';
+import ffprobeStatic from 'ffprobe-static';
+import archiver from 'archiver';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { JobStore, TERMINAL_STATUSES } from './jobStore.js';
+import { JobQueue, QueueFullError } from './jobQueue.js';
+import { RetentionSweeper } from './retention.js';
+import { WebhookDispatcher, isValidCallbackUrl } from './webhooks.js';
+import { PRESET_NAME_PATTERN, PresetStore } from './presets.js';
+import { estimateCompletion, historicalStageCosts, overallProgress } from './progress.js';
+import { UploadBusyError, UploadOffsetError, UploadOverflowError, UploadSessionStore } from './uploadSessions.js';
+import { ImportError, checkImportUrl, downloadSource, importFilename } from './importer.js';
+import { MediaValidationError, describeMedia, inspectMedia, parseFrameRate, probeMedia } from './mediaInfo.js';
+import { batchProgress, batchStatus, zipEntryNames } from './batches.js';
+import { createDepthEstimator, readDepthMap, writeDepthMap } from './pipeline/depth.js';
+import { readFrame, readView, renderView, writeFrame } from './pipeline/stereo.js';
+import { fillHoles } from './pipeline/holeFilling.js';
+import { createProjectionMap, projectFrame, resolveSourceFov } from './pipeline/projection.js';
+import { foveatedBlur } from './pipeline/foveatedBlur.js';
+import { describeUpscaling, resolveEyeResolution, upscaleFrame } from './pipeline/upscaling.js';
+import { injectSphericalMetadata, readSphericalMetadata } from './pipeline/sphericalMetadata.js';
+import {
+  DASH_MANIFEST,
+  HLS_MASTER_PLAYLIST,
+  STREAM_DIR,
+  avcCodecString,
+  dashOptions,
+  hlsRenditionOptions,
+  masterPlaylist,
+  streamingLadder
+} from './pipeline/streaming.js';
+import {
+  DEFAULT_PIPELINE_OPTIONS,
+  OUTPUT_LAYOUTS,
+  PIPELINE_OPTION_SCHEMA,
+  VIDEO_CODECS,
+  describePipelineOptions,
+  validatePipelineOptions
+} from './pipeline/options.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Set FFmpeg path
+// Set FFmpeg and FFprobe paths
 ffmpeg.setFfmpegPath(ffmpegStatic);
+ffmpeg.setFfprobePath(ffprobeStatic.path);
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -29,8 +68,10 @@ app.use(cors({
     'http://localhost:5174'
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Upload-Offset', 'Range'],
+  // Players read these on ranged stream requests
+  exposedHeaders: ['Content-Range', 'Content-Length', 'Accept-Ranges']
 }));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
@@ -53,506 +94,2096 @@ const storage = multer.diskStorage({
   }
 });
 
+const INVALID_FILE_TYPE_MESSAGE = 'Invalid file type. Only MP4, MOV, AVI, M4V, and MKV are allowed.';
+
+function isAllowedVideo(filename, mimeType) {
+  const allowedTypes = ['video/mp4', 'video/mov', 'video/avi', 'video/quicktime', 'video/x-msvideo'];
+  const allowedExtensions = ['.mp4', '.mov', '.avi', '.m4v', '.mkv'];
+  return allowedTypes.includes(mimeType) || allowedExtensions.includes(path.extname(filename).toLowerCase());
+}
+
 const upload = multer({
   storage,
-  limits: { fileSize: 500 * 1024 * 1024 }, // 500MB limit
+  limits: { fileSize: 500 * 1024 * 1024 }, // 500MB limit; larger files use resumable uploads
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['video/mp4', 'video/mov', 'video/avi', 'video/quicktime', 'video/x-msvideo'];
-    const allowedExtensions = ['.mp4', '.mov', '.avi', '.m4v', '.mkv'];
     const fileExtension = path.extname(file.originalname).toLowerCase();
 
     console.log(`File upload: ${file.originalname}, MIME: ${file.mimetype}, Extension: ${fileExtension}`);
 
-    if (allowedTypes.includes(file.mimetype) || allowedExtensions.includes(fileExtension)) {
+    if (isAllowedVideo(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
       console.log(`Rejected file: ${file.originalname} - MIME: ${file.mimetype}, Extension: ${fileExtension}`);
-      cb(new Error('Invalid file type. Only MP4, MOV, AVI, M4V, and MKV are allowed.'));
+      cb(new Error(INVALID_FILE_TYPE_MESSAGE));
     }
   }
 });
 
-// Job storage (in production, use a database)
-const jobs = new Map();
+// Resumable uploads, kept outside uploads/ so the cleanup of orphaned
+// uploads does not take partial ones
+const MAX_UPLOAD_SIZE_MB = Number(process.env.MAX_UPLOAD_SIZE_MB) || 10240;
+const uploadSessions = new UploadSessionStore({
+  dir: process.env.PARTIAL_UPLOAD_DIR || 'partial-uploads',
+  ttlMs: (Number(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000
+});
+
+// Job storage, persisted so jobs survive restarts
+const jobStore = new JobStore(process.env.JOB_STORE_PATH || 'data/jobs.jsonl');
+
+// Deletes job files once they expire
+const HOUR_MS = 60 * 60 * 1000;
+const retention = new RetentionSweeper({
+  jobStore,
+  outputTtlMs: (Number(process.env.OUTPUT_TTL_HOURS) || 72) * HOUR_MS,
+  intermediateTtlMs: (Number(process.env.INTERMEDIATE_TTL_HOURS) || 24) * HOUR_MS,
+  intervalMs: (Number(process.env.CLEANUP_INTERVAL_MINUTES) || 15) * 60 * 1000
+});
+
+// Built-in and user-defined option presets
+const presetStore = new PresetStore(process.env.PRESET_STORE_PATH || 'data/presets.json');
+
+// Signed callbacks to `callbackUrl` when a job settles
+const webhooks = new WebhookDispatcher({
+  jobStore,
+  secret: process.env.WEBHOOK_SECRET,
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+  baseDelayMs: Number(process.env.WEBHOOK_RETRY_DELAY_MS) || 2000
+});
+
+// Statuses that trigger a callback
+const CALLBACK_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Stages each chunk goes through after its frames are extracted
+const CHUNK_STAGES = ['depth', 'stereo', 'outpainting', 'blur', 'upscaling', 'encode'];
+
+// Every stage reported on a job, in the order they first run
+const PIPELINE_STAGES = ['extract', ...CHUNK_STAGES, 'output'];
+
+// Jobs imported from a URL download their source first; jobs that asked
+// for a streaming package make it last
+function pendingStages({ download = false, streaming = false } = {}) {
+  return [...(download ? ['download'] : []), ...PIPELINE_STAGES, ...(streaming ? ['streaming'] : [])]
+    .map(name => ({ name, progress: 0, status: 'pending' }));
+}
+
+// Limits for sources imported from a URL
+const IMPORT_MAX_BYTES = Math.floor((Number(process.env.IMPORT_MAX_SIZE_MB) || Number(process.env.MAX_UPLOAD_SIZE_MB) || 10240) * 1024 * 1024);
+const IMPORT_TIMEOUT_MS = (Number(process.env.IMPORT_TIMEOUT_MINUTES) || 30) * 60 * 1000;
+// Imports make the server fetch URLs on a caller's behalf, so they are off
+// unless the hosts they may come from are configured
+const IMPORT_ALLOWED_HOSTS = (process.env.IMPORT_ALLOWED_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean);
+const IMPORTS_DISABLED_MESSAGE = 'URL imports are not enabled on this server (IMPORT_ALLOWED_HOSTS is not set)';
+const DOWNLOAD_PROGRESS_INTERVAL_MS = 250;
+
+// Options that change the size, layout or codec of encoded segments; they cannot
+// change once some frames have been extracted, or the segments would not join
+const SEGMENT_FORMAT_OPTIONS = ['eyeResolution', 'outputLayout', 'videoCodec', 'chunkFrames'];
+
+// Where a retry will pick up, for reporting
+function resumePoint(checkpoint) {
+  if (!checkpoint) return { chunk: 1, stage: 'extract' };
+  if (checkpoint.outputDone) return { chunk: null, stage: 'streaming' };
+  if (checkpoint.allChunksDone) return { chunk: null, stage: 'output' };
+
+  const current = checkpoint.current;
+  if (!current) return { chunk: checkpoint.chunks.length + 1, stage: 'extract' };
+  return { chunk: current.index, stage: ['extract', ...CHUNK_STAGES].find(name => !current.stages.includes(name)) };
+}
+
+// Pipeline log lines, emitted under the job id for status streams
+const pipelineLogs = new EventEmitter();
+pipelineLogs.setMaxListeners(0);
+
+// Thrown inside the pipeline once a job has been cancelled
+class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+  }
+}
 
 // Optimized VR180 Processing Pipeline
+//
+// The video is processed in chunks of `chunkFrames` frames at native
+// resolution and frame rate. Each chunk runs through every stage, is encoded
+// to its own segment and then deleted, so disk usage stays flat no matter
+// how long the source is. Segments are joined in createFinalOutput.
 class VR180Pipeline {
-  constructor(jobId, inputPath) {
+  constructor(jobId, inputPath, options = {}, checkpoint = null) {
     this.jobId = jobId;
     this.inputPath = inputPath;
+    this.options = { ...DEFAULT_PIPELINE_OPTIONS, ...options };
+    // Encoded chunks, the chunk in progress and its finished stages
+    this.checkpoint = checkpoint || { chunks: [], current: null, allChunksDone: false };
+    this.sourceInfo = null;
+    this.totalFrames = 0;
+    this.framesDone = 0;
     this.outputDir = `outputs/${jobId}`;
+
+    // Time spent per stage, carried over from earlier attempts; runningStage
+    // is the pass in progress so durations stay live
+    const job = jobStore.get(jobId);
+    this.stageTimings = { ...job?.stageTimings };
+    this.runningStage = null;
+
+    // Set for jobs imported from a URL
+    this.sourceUrl = job?.sourceUrl || null;
+    this.downloadController = null;
+
+    // A resumed job keeps when its stages first started. The download stage
+    // keeps its state, since a finished download is not repeated.
+    const savedStages = job?.stages || [];
+    const previousStages = checkpoint ? savedStages : [];
     this.stages = [
-      { name: 'depth', progress: 0, status: 'pending' },
-      { name: 'stereo', progress: 0, status: 'pending' },
-      { name: 'outpainting', progress: 0, status: 'pending' },
-      { name: 'blur', progress: 0, status: 'pending' },
-      { name: 'upscaling', progress: 0, status: 'pending' }
+      ...savedStages.filter(stage => stage.name === 'download').map(stage => ({ ...stage })),
+      ...pendingStages({ streaming: this.options.streamingFormat !== 'none' }).map(stage => {
+        const previous = previousStages.find(s => s.name === stage.name);
+        return {
+          ...stage,
+          startedAt: previous?.startedAt,
+          durationMs: this.stageTimings[stage.name]
+        };
+      })
     ];
+
+    // State that carries over from one chunk to the next
+    this.depthEstimator = null;
+    this.projectionMap = null;
+
+    this.cancelled = false;
+    this.activeCommand = null;
   }
 
-  async initialize() {
-    await fs.mkdir(this.outputDir, { recursive: true });
-    await fs.mkdir(`${this.outputDir}/frames`, { recursive: true });
-    await fs.mkdir(`${this.outputDir}/depth`, { recursive: true });
-    await fs.mkdir(`${this.outputDir}/stereo`, { recursive: true });
+  // Logs to the console and to anyone following the job's event stream
+  log(message, level = 'info', error = null) {
+    const write = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+    if (error) write(message, error);
+    else write(message);
+
+    pipelineLogs.emit(this.jobId, {
+      time: new Date(),
+      level,
+      message: error ? `${message} ${error.message}` : message
+    });
   }
 
-  updateProgress(stageName, progress, status = 'processing') {
-    const stage = this.stages.find(s => s.name === stageName);
-    if (stage) {
-      stage.progress = progress;
-      stage.status = status;
+  // Stops the running ffmpeg process; everything else stops at the next
+  // cancellation check
+  cancel() {
+    this.cancelled = true;
+    if (this.activeCommand) {
+      this.activeCommand.kill('SIGKILL');
     }
+    this.downloadController?.abort();
+  }
 
-    const job = jobs.get(this.jobId);
-    if (job) {
-      job.stages = this.stages;
-      job.lastUpdated = new Date();
+  throwIfCancelled() {
+    if (this.cancelled) {
+      throw new JobCancelledError(this.jobId);
     }
   }
 
-  async extractFrames() {
-    this.updateProgress('depth', 10, 'processing');
+  // Runs a fluent-ffmpeg command, keeping hold of it so it can be killed
+  runCommand(command, description) {
+    this.throwIfCancelled();
 
     return new Promise((resolve, reject) => {
-      // Extract fewer frames for faster processing
-      ffmpeg(this.inputPath)
-        .output(`${this.outputDir}/frames/frame_%04d.png`)
-        .outputOptions([
-          '-vf', 'fps=0.2,scale=320:180', // Much faster - only 0.2 fps
-          '-vframes', '10', // Limit to 10 frames max
-          '-y' // Overwrite existing files
-        ])
-        .on('progress', (progress) => {
-          const percent = Math.min(progress.percent || 0, 90);
-          this.updateProgress('depth', 10 + (percent * 0.3));
-          console.log(`Frame extraction progress: ${percent}%`);
-        })
+      this.activeCommand = command;
+      command
         .on('end', () => {
-          console.log('Frame extraction completed');
-          this.updateProgress('depth', 40);
+          this.activeCommand = null;
           resolve();
         })
         .on('error', (error) => {
-          console.error('Frame extraction error:', error);
+          this.activeCommand = null;
+          if (this.cancelled) {
+            reject(new JobCancelledError(this.jobId));
+            return;
+          }
+          this.log(`${description} error:`, 'error', error);
           reject(error);
         })
         .run();
     });
   }
 
-  async generateDepthMaps() {
-    try {
-      this.updateProgress('depth', 50, 'processing');
-      console.log('Starting optimized depth map generation...');
+  async initialize() {
+    await fs.mkdir(this.outputDir, { recursive: true });
+    await fs.mkdir(`${this.outputDir}/chunks`, { recursive: true });
+    await fs.mkdir(`${this.outputDir}/segments`, { recursive: true });
+  }
+
+  updateProgress(stageName, progress, status = 'processing') {
+    // A cancelled job keeps the stages it had when it was stopped
+    if (this.cancelled) return;
+
+    const stage = this.stages.find(s => s.name === stageName);
+    if (stage) {
+      stage.progress = progress;
+      stage.status = status;
+      stage.durationMs = this.stageDuration(stageName);
+      if (status === 'processing' && !stage.startedAt) stage.startedAt = new Date();
+      if (status === 'completed' && !stage.finishedAt) stage.finishedAt = new Date();
+    }
 
-      const frameFiles = await fs.readdir(`${this.outputDir}/frames`);
-      const pngFiles = frameFiles.filter(f => f.endsWith('.png'));
-      const totalFrames = Math.min(pngFiles.length, 5); // Process max 5 frames
+    jobStore.update(this.jobId, {
+      stages: this.stages,
+      frames: { done: this.framesDone, total: this.totalFrames },
+      lastUpdated: new Date()
+    }, { defer: true });
+  }
 
-      console.log(`Processing ${totalFrames} frames for depth maps`);
+  // Stage progress across the whole video: frames before this chunk plus the
+  // given fraction of the chunk itself. Called after every frame, so it is also
+  // where per-frame work notices a cancellation.
+  updateChunkProgress(stageName, chunk, fraction) {
+    this.throwIfCancelled();
+    const done = chunk.startFrame + fraction * chunk.frameCount;
+    const total = Math.max(this.totalFrames, chunk.startFrame + chunk.frameCount);
+    this.updateProgress(stageName, Math.min(100, (done / total) * 100), 'processing');
+  }
 
-      if (totalFrames === 0) {
-        throw new Error('No frames extracted from video');
-      }
+  // Fetches the source of an imported job. A retry downloads again only if
+  // the earlier download did not finish.
+  async importSource() {
+    const downloaded = await fs.access(this.inputPath).then(() => true, () => false);
+    if (downloaded) return;
 
-      // Process frames quickly
-      for (let i = 0; i < totalFrames; i++) {
-        const frameName = pngFiles[i];
-        const depthMapPath = `${this.outputDir}/depth/depth_${String(i + 1).padStart(4, '0')}.png`;
+    // A retry after imports were switched off must not fetch anything
+    if (IMPORT_ALLOWED_HOSTS.length === 0) {
+      this.updateProgress('download', 0, 'error');
+      throw new ImportError(IMPORTS_DISABLED_MESSAGE);
+    }
 
+    this.log(`Downloading source from ${this.sourceUrl}`);
+    this.updateProgress('download', 0, 'processing');
+    this.downloadController = new AbortController();
+    let lastUpdate = 0;
+
+    try {
+      await this.timeStage('download', async () => {
+        const { size } = await downloadSource(this.sourceUrl, this.inputPath, {
+          maxBytes: IMPORT_MAX_BYTES,
+          timeoutMs: IMPORT_TIMEOUT_MS,
+          allowedHosts: IMPORT_ALLOWED_HOSTS,
+          signal: this.downloadController.signal,
+          onProgress: (receivedBytes, totalBytes) => {
+            if (Date.now() - lastUpdate < DOWNLOAD_PROGRESS_INTERVAL_MS) return;
+            lastUpdate = Date.now();
+            jobStore.update(this.jobId, { download: { receivedBytes, totalBytes } }, { defer: true });
+            // Without a Content-Length only the byte count moves
+            this.updateProgress('download', totalBytes ? Math.min(100, (receivedBytes / totalBytes) * 100) : 0);
+          }
+        });
+        this.log(`Downloaded ${size} bytes from ${this.sourceUrl}`);
+
+        // Same checks as uploads get before their job is created
+        let media;
         try {
-          await this.createOptimizedDepthMap(depthMapPath);
-          const progress = 50 + ((i + 1) / totalFrames) * 50;
-          this.updateProgress('depth', progress, 'processing');
+          media = await inspectMedia(this.inputPath);
         } catch (error) {
-          console.error(`Error creating depth map ${i}:`, error);
-          // Continue with next frame
+          await fs.rm(this.inputPath, { force: true });
+          throw error;
         }
-      }
-
-      console.log('Depth map generation completed');
-      this.updateProgress('depth', 100, 'completed');
+        jobStore.update(this.jobId, { size, media, download: { receivedBytes: size, totalBytes: size } });
+      });
     } catch (error) {
-      console.error('Depth map generation failed:', error);
+      if (this.cancelled) throw new JobCancelledError(this.jobId);
+      this.updateProgress('download', this.stages.find(s => s.name === 'download')?.progress || 0, 'error');
       throw error;
+    } finally {
+      this.downloadController = null;
+    }
+
+    this.updateProgress('download', 100, 'completed');
+  }
+
+  async createChunk(index, startFrame) {
+    const dir = `${this.outputDir}/chunks/chunk_${String(index).padStart(4, '0')}`;
+    for (const sub of ['frames', 'depth', 'stereo', 'projected', 'foveated', 'upscaled']) {
+      await fs.mkdir(`${dir}/${sub}`, { recursive: true });
     }
+    return { index, dir, startFrame, frameCount: 0 };
   }
 
-  async createOptimizedDepthMap(outputPath) {
-    // Create a simple depth map quickly
-    return new Promise((resolve, reject) => {
-      ffmpeg()
-        .input('color=gray:size=320x180:duration=0.1')
-        .inputOptions(['-f', 'lavfi'])
-        .output(outputPath)
-        .outputOptions(['-vframes', '1', '-y'])
-        .on('end', () => {
-          console.log(`Created depth map: ${outputPath}`);
-          resolve();
-        })
-        .on('error', (error) => {
-          console.error(`Failed to create depth map ${outputPath}:`, error);
-          reject(error);
-        })
-        .run();
-    });
+  async listFrames(dir, pattern = /\.png$/) {
+    return (await fs.readdir(dir)).filter(f => pattern.test(f)).sort();
+  }
+
+  async extractFrames(chunk) {
+    const { chunkFrames } = this.options;
+    const startTime = chunk.startFrame / this.sourceInfo.fps;
+
+    const command = ffmpeg(this.inputPath);
+
+    // Input seeking is frame accurate when re-encoding
+    if (chunk.startFrame > 0) {
+      command.inputOptions(['-ss', startTime.toFixed(6)]);
+    }
+
+    command
+      .output(`${chunk.dir}/frames/frame_%06d.png`)
+      .outputOptions([
+        '-frames:v', String(chunkFrames),
+        '-start_number', String(chunk.startFrame + 1),
+        '-vsync', 'passthrough',
+        '-y' // Overwrite existing files
+      ]);
+
+    this.updateChunkProgress('extract', chunk, 0);
+    await this.runCommand(command, 'Frame extraction');
+
+    chunk.frameCount = (await this.listFrames(`${chunk.dir}/frames`)).length;
+    this.updateChunkProgress('extract', chunk, 1);
+    this.log(`Chunk ${chunk.index}: extracted ${chunk.frameCount} frames starting at frame ${chunk.startFrame + 1}`);
   }
 
-  async synthesizeStereo() {
+  async generateDepthMaps(chunk) {
     try {
-      this.updateProgress('stereo', 0, 'processing');
-      console.log('Starting stereo synthesis using depth-image-based rendering...');
-
-      // More realistic processing times for stereo synthesis
-      const stages = [
-        { name: 'Left Eye Generation', duration: 2000, progress: 50 }, // 2 seconds
-        { name: 'Right Eye Generation', duration: 2000, progress: 100 } // 2 seconds
-      ];
-
-      for (const stage of stages) {
-        console.log(`Starting ${stage.name}...`);
-        const steps = 10; // More granular steps
-        const stepDuration = stage.duration / steps;
-
-        for (let i = 0; i < steps; i++) {
-          await new Promise(resolve => setTimeout(resolve, stepDuration));
-          const stageProgress = ((i + 1) / steps) * stage.progress;
-          this.updateProgress('stereo', stageProgress, 'processing');
-          console.log(`${stage.name} progress: ${Math.round(stageProgress)}%`);
-        }
+      this.updateChunkProgress('depth', chunk, 0);
+
+      const pngFiles = await this.listFrames(`${chunk.dir}/frames`);
 
-        console.log(`${stage.name} completed`);
+      // One estimator per video so motion and temporal smoothing carry over
+      if (!this.depthEstimator) {
+        const { depthBackend, depthModelPath, depthModelInputSize } = this.options;
+        this.log(`Starting CPU depth map generation with the ${depthBackend} backend...`);
+        this.depthEstimator = createDepthEstimator(depthBackend, {
+          modelPath: depthModelPath,
+          inputSize: depthModelInputSize
+        });
+
+        jobStore.update(this.jobId, { depthBackend });
       }
 
-      console.log('Stereo synthesis completed');
-      this.updateProgress('stereo', 100, 'completed');
+      for (let i = 0; i < pngFiles.length; i++) {
+        const frameName = pngFiles[i];
+        const depth = await this.depthEstimator.estimate(`${chunk.dir}/frames/${frameName}`);
+        await writeDepthMap(depth, `${chunk.dir}/depth/${frameName.replace('frame_', 'depth_')}`);
+
+        this.updateChunkProgress('depth', chunk, (i + 1) / pngFiles.length);
+      }
     } catch (error) {
-      console.error('Stereo synthesis failed:', error);
-      this.updateProgress('stereo', 0, 'error');
+      if (error instanceof JobCancelledError) throw error;
+      this.log('Depth map generation failed:', 'error', error);
+      this.updateProgress('depth', 0, 'error');
       throw error;
     }
   }
 
-  async expandPanorama() {
+  async synthesizeStereo(chunk) {
     try {
-      this.updateProgress('outpainting', 0, 'processing');
-      console.log('Starting AI outpainting and projection mapping...');
-
-      // More realistic processing times for AI operations
-      const stages = [
-        { name: 'AI Outpainting', duration: 3000, progress: 60 }, // 3 seconds
-        { name: 'Projection Mapping', duration: 2000, progress: 100 } // 2 seconds
-      ];
-
-      for (const stage of stages) {
-        console.log(`Starting ${stage.name}...`);
-        const steps = 10; // More granular steps
-        const stepDuration = stage.duration / steps;
-
-        for (let i = 0; i < steps; i++) {
-          await new Promise(resolve => setTimeout(resolve, stepDuration));
-          const stageProgress = ((i + 1) / steps) * stage.progress;
-          this.updateProgress('outpainting', stageProgress, 'processing');
-          console.log(`${stage.name} progress: ${Math.round(stageProgress)}%`);
+      this.updateChunkProgress('stereo', chunk, 0);
+
+      const depthFiles = await this.listFrames(`${chunk.dir}/depth`);
+      if (depthFiles.length === 0) {
+        throw new Error('No depth maps available for stereo synthesis');
+      }
+
+      const { stereoBaseline, zeroParallaxDepth } = this.options;
+
+      for (let i = 0; i < depthFiles.length; i++) {
+        const frameNumber = depthFiles[i].replace('depth_', '').replace('.png', '');
+        const frame = await readFrame(`${chunk.dir}/frames/frame_${frameNumber}.png`);
+        const depth = await readDepthMap(`${chunk.dir}/depth/${depthFiles[i]}`);
+
+        for (const eye of ['left', 'right']) {
+          const view = renderView(frame, depth, eye, { baseline: stereoBaseline, zeroParallaxDepth });
+          await writeFrame(view, `${chunk.dir}/stereo/${eye}_${frameNumber}.png`);
         }
 
-        console.log(`${stage.name} completed`);
+        this.updateChunkProgress('stereo', chunk, (i + 1) / depthFiles.length);
       }
+    } catch (error) {
+      if (error instanceof JobCancelledError) throw error;
+      this.log('Stereo synthesis failed:', 'error', error);
+      this.updateProgress('stereo', 0, 'error');
+      throw error;
+    }
+  }
+
+  async expandPanorama(chunk) {
+    try {
+      this.updateChunkProgress('outpainting', chunk, 0);
 
-      console.log('Panorama expansion completed');
-      this.updateProgress('outpainting', 100, 'completed');
+      await this.fillDisocclusions(chunk);
+      await this.projectToVR180(chunk);
     } catch (error) {
-      console.error('Panorama expansion failed:', error);
+      if (error instanceof JobCancelledError) throw error;
+      this.log('Panorama expansion failed:', 'error', error);
       this.updateProgress('outpainting', 0, 'error');
       throw error;
     }
   }
 
-  async applyFoveatedBlur() {
-    try {
-      this.updateProgress('blur', 0, 'processing');
-      console.log('Starting foveated edge blur for natural peripheral vision...');
-
-      // More realistic processing times for blur operations
-      const stages = [
-        { name: 'Edge Detection', duration: 1000, progress: 40 }, // 1 second
-        { name: 'Blur Application', duration: 1500, progress: 100 } // 1.5 seconds
-      ];
-
-      for (const stage of stages) {
-        console.log(`Starting ${stage.name}...`);
-        const steps = 8; // More granular steps
-        const stepDuration = stage.duration / steps;
-
-        for (let i = 0; i < steps; i++) {
-          await new Promise(resolve => setTimeout(resolve, stepDuration));
-          const stageProgress = ((i + 1) / steps) * stage.progress;
-          this.updateProgress('blur', stageProgress, 'processing');
-          console.log(`${stage.name} progress: ${Math.round(stageProgress)}%`);
-        }
+  async fillDisocclusions(chunk) {
+    const viewFiles = await this.listFrames(`${chunk.dir}/stereo`, /^(left|right)_\d+\.png$/);
+
+    for (let i = 0; i < viewFiles.length; i++) {
+      const viewName = viewFiles[i];
+      const eye = viewName.startsWith('left') ? 'left' : 'right';
+      const view = await readView(`${chunk.dir}/stereo/${viewName}`);
 
-        console.log(`${stage.name} completed`);
+      // Filled view replaces the warped one; the mask shows what was invented
+      const { frame, mask } = fillHoles(view, eye);
+      await writeFrame(frame, `${chunk.dir}/stereo/${viewName}`);
+      await writeFrame(mask, `${chunk.dir}/stereo/${viewName.replace('.png', '_mask.png')}`);
+
+      this.updateChunkProgress('outpainting', chunk, ((i + 1) / viewFiles.length) * 0.6);
+    }
+  }
+
+  async projectToVR180(chunk) {
+    const { projectionFill } = this.options;
+    const viewFiles = await this.listFrames(`${chunk.dir}/stereo`, /^(left|right)_\d+\.png$/);
+
+    for (let i = 0; i < viewFiles.length; i++) {
+      const frame = await readFrame(`${chunk.dir}/stereo/${viewFiles[i]}`);
+
+      // Every frame shares the same geometry, so the map is built once.
+      // Capping it at the output size keeps blur and upscaling working on
+      // frames no bigger than the final video.
+      if (!this.projectionMap) {
+        const sourceFov = resolveSourceFov(this.options);
+        const maxSize = resolveEyeResolution(this.options.eyeResolution);
+        this.projectionMap = createProjectionMap(frame.width, frame.height, sourceFov, maxSize);
+        this.log(`Projecting ${frame.width}x${frame.height} views to ${this.projectionMap.size}x${this.projectionMap.size} half-equirectangular (source FOV ${sourceFov}°, fill: ${projectionFill})`);
       }
 
-      console.log('Foveated blur completed');
-      this.updateProgress('blur', 100, 'completed');
+      const projected = await projectFrame(frame, this.projectionMap, projectionFill);
+      await writeFrame(projected, `${chunk.dir}/projected/${viewFiles[i]}`);
+
+      this.updateChunkProgress('outpainting', chunk, 0.6 + ((i + 1) / viewFiles.length) * 0.4);
+    }
+  }
+
+  async applyFoveatedBlur(chunk) {
+    try {
+      this.updateChunkProgress('blur', chunk, 0);
+
+      const { blurRadius, blurFeather, blurStrength } = this.options;
+      const viewFiles = await this.listFrames(`${chunk.dir}/projected`);
+
+      for (let i = 0; i < viewFiles.length; i++) {
+        const frame = await readFrame(`${chunk.dir}/projected/${viewFiles[i]}`);
+        const blurred = await foveatedBlur(frame, {
+          radius: blurRadius,
+          feather: blurFeather,
+          strength: blurStrength
+        });
+        await writeFrame(blurred, `${chunk.dir}/foveated/${viewFiles[i]}`);
+
+        this.updateChunkProgress('blur', chunk, (i + 1) / viewFiles.length);
+      }
     } catch (error) {
-      console.error('Foveated blur failed:', error);
+      if (error instanceof JobCancelledError) throw error;
+      this.log('Foveated blur failed:', 'error', error);
       this.updateProgress('blur', 0, 'error');
       throw error;
     }
   }
 
-  async upscaleAndEnhance() {
+  async upscaleAndEnhance(chunk) {
     try {
-      this.updateProgress('upscaling', 0, 'processing');
-      console.log('Starting AI upscaling and enhancement...');
-
-      // More realistic processing times for AI operations
-      const stages = [
-        { name: 'AI Upscaling', duration: 4000, progress: 70 }, // 4 seconds
-        { name: 'Quality Enhancement', duration: 2000, progress: 100 } // 2 seconds
-      ];
-
-      for (const stage of stages) {
-        console.log(`Starting ${stage.name}...`);
-        const steps = 10; // More granular steps
-        const stepDuration = stage.duration / steps;
-
-        for (let i = 0; i < steps; i++) {
-          await new Promise(resolve => setTimeout(resolve, stepDuration));
-          const stageProgress = ((i + 1) / steps) * stage.progress;
-          this.updateProgress('upscaling', stageProgress, 'processing');
-          console.log(`${stage.name} progress: ${Math.round(stageProgress)}%`);
+      this.updateChunkProgress('upscaling', chunk, 0);
+
+      const settings = {
+        size: resolveEyeResolution(this.options.eyeResolution),
+        algorithm: this.options.upscaleAlgorithm,
+        denoise: this.options.upscaleDenoise,
+        sharpen: this.options.upscaleSharpen
+      };
+
+      const viewFiles = await this.listFrames(`${chunk.dir}/foveated`);
+
+      for (let i = 0; i < viewFiles.length; i++) {
+        const frame = await readFrame(`${chunk.dir}/foveated/${viewFiles[i]}`);
+
+        // Recorded from the projected size, which decides whether the
+        // kernel is used at all
+        if (!jobStore.get(this.jobId)?.upscaling) {
+          const upscaling = describeUpscaling(settings, frame.width);
+          jobStore.update(this.jobId, { upscaling });
+          this.log(upscaling.algorithm === 'none'
+            ? `Frames are already ${settings.size}x${settings.size} per eye; enhancing without resampling`
+            : `Upscaling ${frame.width}x${frame.height} to ${settings.size}x${settings.size} per eye with ${upscaling.algorithm}`);
         }
+        const upscaled = await upscaleFrame(frame, settings);
+        await writeFrame(upscaled, `${chunk.dir}/upscaled/${viewFiles[i]}`);
 
-        console.log(`${stage.name} completed`);
+        this.updateChunkProgress('upscaling', chunk, (i + 1) / viewFiles.length);
       }
-
-      console.log('Upscaling and enhancement completed');
-      this.updateProgress('upscaling', 100, 'completed');
     } catch (error) {
-      console.error('Upscaling and enhancement failed:', error);
+      if (error instanceof JobCancelledError) throw error;
+      this.log('Upscaling and enhancement failed:', 'error', error);
       this.updateProgress('upscaling', 0, 'error');
       throw error;
     }
   }
 
-  async createFinalOutput() {
-    try {
-      console.log('Creating final VR180 output file...');
-
-      // Create a simple VR180 output file by copying the input
-      const outputPath = `outputs/${this.jobId}/final_vr180.mp4`;
-
-      return new Promise((resolve, reject) => {
-        ffmpeg(this.inputPath)
-          .output(outputPath)
-          .outputOptions(['-y']) // Overwrite existing files
-          .on('end', () => {
-            console.log(`Final VR180 file created: ${outputPath}`);
-            resolve();
-          })
-          .on('error', (error) => {
-            console.error(`Failed to create final output: ${outputPath}`, error);
-            reject(error);
-          })
-          .run();
-      });
-    } catch (error) {
-      console.error('Error creating final output:', error);
-      throw error;
+  // Encodes a chunk's left/right frames into one stacked video segment
+  async encodeSegment(chunk) {
+    const { outputLayout, videoCodec, videoBitrate } = this.options;
+    if (!OUTPUT_LAYOUTS.includes(outputLayout)) {
+      throw new Error(`Unknown output layout: ${outputLayout}`);
+    }
+
+    const codec = VIDEO_CODECS[videoCodec];
+    if (!codec) {
+      throw new Error(`Unknown video codec: ${videoCodec}`);
     }
+    // Fixed bitrate when asked for one, constant quality otherwise
+    const rateControl = videoBitrate ? ['-b:v', videoBitrate] : ['-crf', String(codec.crf)];
+
+    const stack = outputLayout === 'tb' ? 'vstack' : 'hstack';
+    const segmentPath = this.segmentPath(chunk.index);
+    const startNumber = String(chunk.startFrame + 1);
+    const frameRate = this.sourceInfo.frameRate;
+
+    const command = ffmpeg()
+      .input(`${chunk.dir}/upscaled/left_%06d.png`)
+      .inputOptions(['-framerate', frameRate, '-start_number', startNumber])
+      .input(`${chunk.dir}/upscaled/right_%06d.png`)
+      .inputOptions(['-framerate', frameRate, '-start_number', startNumber])
+      .complexFilter([`[0:v][1:v]${stack}=inputs=2[v]`])
+      .outputOptions([
+        '-map', '[v]',
+        '-frames:v', String(chunk.frameCount),
+        '-c:v', codec.encoder,
+        '-preset', 'medium',
+        ...rateControl,
+        '-pix_fmt', 'yuv420p',
+        ...(codec.tag ? ['-tag:v', codec.tag] : []),
+        '-y'
+      ])
+      .output(segmentPath);
+
+    this.updateChunkProgress('encode', chunk, 0);
+    await this.runCommand(command, `Encoding segment ${segmentPath}`);
+    this.updateChunkProgress('encode', chunk, 1);
   }
 
-  async processVideo() {
-    try {
-      console.log(`Starting optimized VR180 processing for job: ${this.jobId}`);
+  segmentPath(index) {
+    return `${this.outputDir}/segments/segment_${String(index).padStart(4, '0')}.mp4`;
+  }
 
-      // Initialize directories
-      await this.initialize();
+  async probeInput() {
+    const { video, duration, audioTracks } = describeMedia(await probeMedia(this.inputPath));
 
-      // Stage 1: Extract frames (fast)
-      await this.extractFrames();
+    if (!video) {
+      throw new Error('Input has no video stream');
+    }
 
-      // Stage 2: Generate depth maps (optimized)
-      await this.generateDepthMaps();
+    const frameRate = video.frameRate || '30/1';
+    const fps = parseFrameRate(frameRate);
+
+    this.sourceInfo = {
+      duration,
+      fps,
+      frameRate,
+      width: video.width,
+      height: video.height,
+      hasAudio: audioTracks.length > 0,
+      audioCodec: audioTracks[0]?.codec ?? null
+    };
 
-      // Stage 3: Synthesize stereo (fast)
-      await this.synthesizeStereo();
+    this.totalFrames = video.frameCount || Math.round(duration * fps);
 
-      // Stage 4: Expand panorama (fast)
-      await this.expandPanorama();
+    this.log(`Source: ${video.width}x${video.height}, ${duration}s at ${fps} fps (${this.totalFrames} frames), audio: ${this.sourceInfo.hasAudio}`);
+  }
 
-      // Stage 5: Apply foveated blur (fast)
-      await this.applyFoveatedBlur();
+  async createFinalOutput(segmentCount) {
+    try {
+      this.log('Creating final VR180 output file...');
 
-      // Stage 6: Upscale and enhance (fast)
-      await this.upscaleAndEnhance();
+      const { outputLayout, videoCodec } = this.options;
+      const { tag } = VIDEO_CODECS[videoCodec];
+      const outputPath = this.finalOutputPath();
+      const listPath = `${this.outputDir}/segments/segments.txt`;
 
-      // Create final output file
-      await this.createFinalOutput();
+      // Concat demuxer resolves entries relative to the list file
+      const entries = [];
+      for (let index = 1; index <= segmentCount; index++) {
+        entries.push(`file '${path.basename(this.segmentPath(index))}'`);
+      }
+      await fs.writeFile(listPath, `${entries.join('\n')}\n`);
 
-      console.log(`Optimized VR180 processing completed for job: ${this.jobId}`);
-      return true;
+      const command = ffmpeg()
+        .input(listPath)
+        .inputOptions(['-f', 'concat', '-safe', '0'])
+        .outputOptions([
+          '-map', '0:v',
+          '-c:v', 'copy',
+          ...(tag ? ['-tag:v', tag] : []),
+          '-movflags', '+faststart',
+          '-y'
+        ]);
+
+      // AAC audio goes back in untouched; other codecs are re-encoded to
+      // AAC, which every MP4 player can decode
+      if (this.sourceInfo.hasAudio) {
+        const audioCodec = this.sourceInfo.audioCodec === 'aac' ? ['-c:a', 'copy'] : ['-c:a', 'aac', '-b:a', '192k'];
+        command
+          .input(this.inputPath)
+          .outputOptions(['-map', '1:a:0', ...audioCodec]);
+      }
+
+      command.output(outputPath);
+      await this.runCommand(command, `Creating final output ${outputPath}`);
+      this.log(`Final VR180 file created: ${outputPath}`);
+
+      // Tag the file so players show it as 180° stereo instead of flat
+      await injectSphericalMetadata(outputPath, {
+        stereoMode: outputLayout === 'tb' ? 'top-bottom' : 'left-right',
+        horizontalFov: 180,
+        verticalFov: 180
+      });
+
+      await this.verifyFinalOutput(outputPath);
+
+      // Segments are only needed until the final file exists
+      await fs.rm(`${this.outputDir}/segments`, { recursive: true, force: true });
+      await fs.rm(`${this.outputDir}/chunks`, { recursive: true, force: true });
     } catch (error) {
-      console.error(`VR180 processing failed for job ${this.jobId}:`, error);
+      if (error instanceof JobCancelledError) throw error;
+      this.log('Error creating final output:', 'error', error);
       throw error;
     }
   }
-}
 
-// API Routes
+  async verifyFinalOutput(outputPath) {
+    const metadata = await probeMedia(outputPath);
+    const videoStream = metadata.streams.find(s => s.codec_type === 'video');
+    const duration = Number(metadata.format.duration) || 0;
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    version: '1.0.0'
-  });
-});
+    // Allow for a couple of frames of rounding at either end
+    const tolerance = Math.max(0.5, 2 / this.sourceInfo.fps);
+    const durationMatches = Math.abs(duration - this.sourceInfo.duration) <= tolerance;
 
-// Upload endpoint
-app.post('/api/upload', upload.single('video'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No video file uploaded' });
+    const spherical = await readSphericalMetadata(outputPath);
+    if (!spherical || spherical.projection !== 'equirectangular') {
+      throw new Error('VR180 spherical metadata missing from final output');
     }
 
-    const jobId = uuidv4();
-    const inputPath = req.file.path;
+    const output = {
+      layout: this.options.outputLayout,
+      width: videoStream?.width,
+      height: videoStream?.height,
+      duration,
+      inputDuration: this.sourceInfo.duration,
+      durationMatches,
+      spherical
+    };
 
-    console.log(`New upload received: ${req.file.originalname} (${req.file.size} bytes)`);
+    jobStore.update(this.jobId, { output });
 
-    // Create job entry
-    const job = {
-      id: jobId,
-      filename: req.file.originalname,
-      size: req.file.size,
-      uploadTime: new Date(),
-      status: 'processing',
-      stages: [
-        { name: 'depth', progress: 0, status: 'pending' },
-        { name: 'stereo', progress: 0, status: 'pending' },
-        { name: 'outpainting', progress: 0, status: 'pending' },
-        { name: 'blur', progress: 0, status: 'pending' },
-        { name: 'upscaling', progress: 0, status: 'pending' }
-      ],
-      lastUpdated: new Date()
-    };
+    if (!durationMatches) {
+      throw new Error(`Output duration ${duration}s does not match input duration ${this.sourceInfo.duration}s`);
+    }
 
-    jobs.set(jobId, job);
+    this.log(`Output duration verified: ${duration}s (input ${this.sourceInfo.duration}s)`);
+    return output;
+  }
 
-    // Start processing in background
-    const pipeline = new VR180Pipeline(jobId, inputPath);
+  finalOutputPath() {
+    return `${this.outputDir}/final_vr180.mp4`;
+  }
 
-    // Update job with pipeline reference
-    job.pipeline = pipeline;
+  // Packages the final video for adaptive streaming when the job asks for
+  // it. The MP4 is what the job is for, so a failure here is recorded under
+  // `streaming` and the job still completes.
+  async packageStreams(output) {
+    const { streamingFormat } = this.options;
+    if (streamingFormat === 'none') return;
 
-    // Process video asynchronously
-    pipeline.processVideo()
-      .then(() => {
-        job.status = 'completed';
-        job.completedAt = new Date();
-        console.log(`Job ${jobId} completed successfully`);
-      })
-      .catch((error) => {
-        job.status = 'failed';
-        job.error = error.message;
-        job.failedAt = new Date();
-        console.error(`Job ${jobId} failed:`, error);
+    const formats = streamingFormat === 'both' ? ['hls', 'dash'] : [streamingFormat];
+    const renditions = streamingLadder({ width: output.width, height: output.height, fps: this.sourceInfo.fps });
+    const dir = `${this.outputDir}/${STREAM_DIR}`;
+
+    this.throwIfCancelled();
+    this.updateProgress('streaming', 0, 'processing');
+    jobStore.update(this.jobId, { streaming: { status: 'processing', formats } });
+
+    try {
+      await this.timeStage('streaming', async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+        await fs.mkdir(dir, { recursive: true });
+
+        // HLS variants are encoded one by one, DASH in a single pass
+        const steps = (formats.includes('hls') ? renditions.length : 0) + (formats.includes('dash') ? 1 : 0);
+        let step = 0;
+        const runStep = async (command, description) => {
+          command.on('progress', ({ percent }) => {
+            this.updateProgress('streaming', Math.min(100, ((step + (percent || 0) / 100) / steps) * 100));
+          });
+          await this.runCommand(command, description);
+          step++;
+        };
+
+        if (formats.includes('hls')) {
+          const codecs = [];
+          for (const rendition of renditions) {
+            await fs.mkdir(`${dir}/${rendition.name}`, { recursive: true });
+            const command = ffmpeg(this.finalOutputPath())
+              .outputOptions(...hlsRenditionOptions(rendition, {
+                fps: this.sourceInfo.fps,
+                hasAudio: this.sourceInfo.hasAudio,
+                segmentPattern: `${dir}/${rendition.name}/segment_%05d.ts`
+              }))
+              .output(`${dir}/${rendition.name}/playlist.m3u8`);
+            await runStep(command, `Packaging HLS rendition ${rendition.width}x${rendition.height}`);
+
+            // The master playlist names each variant's exact h264 level
+            const metadata = await probeMedia(`${dir}/${rendition.name}/segment_00000.ts`);
+            codecs.push(avcCodecString(metadata.streams.find(s => s.codec_type === 'video').level));
+          }
+          await fs.writeFile(`${dir}/${HLS_MASTER_PLAYLIST}`, masterPlaylist(renditions, {
+            fps: this.sourceInfo.fps,
+            hasAudio: this.sourceInfo.hasAudio,
+            codecs
+          }));
+        }
+
+        if (formats.includes('dash')) {
+          // Spread so fluent-ffmpeg does not split the space-separated
+          // adaptation sets into two arguments
+          const command = ffmpeg(this.finalOutputPath())
+            .outputOptions(...dashOptions(renditions, { fps: this.sourceInfo.fps, hasAudio: this.sourceInfo.hasAudio }))
+            .output(`${dir}/${DASH_MANIFEST}`);
+          await runStep(command, 'Packaging DASH');
+        }
       });
+    } catch (error) {
+      if (this.cancelled) throw new JobCancelledError(this.jobId);
+      this.log('Streaming package failed; the MP4 is still available:', 'error', error);
+      await fs.rm(dir, { recursive: true, force: true });
+      this.updateProgress('streaming', this.stages.find(s => s.name === 'streaming')?.progress || 0, 'error');
+      jobStore.update(this.jobId, { streaming: { status: 'failed', formats, error: error.message } });
+      return;
+    }
 
-    res.json({
-      message: 'Video uploaded successfully. Processing started.',
-      jobId: jobId,
-      filename: req.file.originalname
+    this.updateProgress('streaming', 100, 'completed');
+    jobStore.update(this.jobId, {
+      streaming: {
+        status: 'ready',
+        formats,
+        renditions: renditions.map(({ name, width, height, videoKbps }) => ({ name, width, height, videoKbps }))
+      }
     });
+    this.log(`Packaged ${formats.join(' and ')} streams: ${renditions.map(r => `${r.width}x${r.height}`).join(', ')}`);
+  }
 
-  } catch (error) {
-    console.error('Upload error:', error);
-    res.status(500).json({
-      error: 'Failed to upload video',
-      details: error.message
-    });
+  // Records progress so a failed or interrupted job can resume from the
+  // first incomplete stage instead of starting over
+  saveCheckpoint() {
+    jobStore.update(this.jobId, { checkpoint: this.checkpoint });
   }
-});
 
-// Status endpoint
-app.get('/api/status/:jobId', (req, res) => {
-  const jobId = req.params.jobId;
-  const job = jobs.get(jobId);
+  // Wall-clock time per stage, summed over chunks and kept across retries
+  recordStageTime(name, durationMs) {
+    this.stageTimings[name] = (this.stageTimings[name] || 0) + durationMs;
+    const stage = this.stages.find(s => s.name === name);
+    if (stage) stage.durationMs = this.stageTimings[name];
+    jobStore.update(this.jobId, { stageTimings: { ...this.stageTimings }, stages: this.stages }, { defer: true });
+  }
 
-  if (!job) {
-    return res.status(404).json({ error: 'Job not found' });
+  // Recorded time plus the pass that is still running
+  stageDuration(name) {
+    const running = this.runningStage?.name === name ? Date.now() - this.runningStage.startedAt : 0;
+    return (this.stageTimings[name] || 0) + running || undefined;
   }
 
-  res.json({
-    id: job.id,
-    filename: job.filename,
-    status: job.status,
-    stages: job.stages,
-    uploadTime: job.uploadTime,
-    lastUpdated: job.lastUpdated,
-    completedAt: job.completedAt,
-    failedAt: job.failedAt,
-    error: job.error
-  });
-});
+  // Runs one pass of a stage and adds its time to the stage total
+  async timeStage(name, work) {
+    this.runningStage = { name, startedAt: Date.now() };
+    try {
+      await work();
+      this.throwIfCancelled();
+      this.recordStageTime(name, Date.now() - this.runningStage.startedAt);
+    } finally {
+      this.runningStage = null;
+    }
+  }
 
-// Download endpoint
-app.get('/api/download/:jobId', async (req, res) => {
-  const jobId = req.params.jobId;
-  const job = jobs.get(jobId);
+  runChunkStage(name, chunk) {
+    switch (name) {
+      case 'depth': return this.generateDepthMaps(chunk);
+      case 'stereo': return this.synthesizeStereo(chunk);
+      case 'outpainting': return this.expandPanorama(chunk);
+      case 'blur': return this.applyFoveatedBlur(chunk);
+      case 'upscaling': return this.upscaleAndEnhance(chunk);
+      case 'encode': return this.encodeSegment(chunk);
+      default: throw new Error(`Unknown chunk stage: ${name}`);
+    }
+  }
 
-  if (!job) {
-    return res.status(404).json({ error: 'Job not found' });
+  async processChunk(chunk, completedStages = []) {
+    for (const name of CHUNK_STAGES) {
+      if (completedStages.includes(name)) continue;
+
+      await this.timeStage(name, () => this.runChunkStage(name, chunk));
+
+      this.checkpoint.current.stages.push(name);
+      this.saveCheckpoint();
+    }
+
+    // Intermediates for this chunk are no longer needed
+    await fs.rm(chunk.dir, { recursive: true, force: true });
+
+    this.checkpoint.chunks.push({
+      index: chunk.index,
+      startFrame: chunk.startFrame,
+      frameCount: chunk.frameCount,
+      segment: this.segmentPath(chunk.index)
+    });
+    this.checkpoint.current = null;
+    this.saveCheckpoint();
+
+    this.framesDone += chunk.frameCount;
+    this.totalFrames = Math.max(this.totalFrames, this.framesDone);
+    this.log(`Chunk ${chunk.index} done: ${this.framesDone}/${this.totalFrames} frames`);
   }
 
-  if (job.status !== 'completed') {
-    return res.status(400).json({ error: 'Job not completed yet' });
+  // Drops a checkpoint whose files are gone, since resuming from it would
+  // produce a video with missing segments. Once the final file exists the
+  // segments are gone and only it matters.
+  async validateCheckpoint() {
+    const files = this.checkpoint.outputDone
+      ? [this.finalOutputPath()]
+      : this.checkpoint.chunks.map(chunk => this.segmentPath(chunk.index));
+    const filesExist = await Promise.all(files.map(file => fs.access(file).then(() => true, () => false)));
+    if (filesExist.every(Boolean)) return;
+
+    this.log(`Checkpoint for job ${this.jobId} refers to missing files; starting over`, 'warn');
+    this.checkpoint = { chunks: [], current: null, allChunksDone: false };
   }
 
-  const outputPath = `outputs/${jobId}/final_vr180.mp4`;
+  async processVideo() {
+    try {
+      this.log(`Starting VR180 processing for job: ${this.jobId}`);
 
-  try {
-    // Check if output file exists
-    await fs.access(outputPath);
+      // Initialize directories
+      await this.initialize();
 
-    // Send file
-    res.download(outputPath, `${job.filename.replace(/\.[^/.]+$/, "")}_VR180.mp4`);
-  } catch (error) {
-    res.status(404).json({ error: 'Output file not found' });
-  }
-});
+      if (this.sourceUrl) {
+        await this.importSource();
+      }
 
-// List all jobs endpoint (for debugging)
-app.get('/api/jobs', (req, res) => {
-  const jobList = Array.from(jobs.values()).map(job => ({
-    id: job.id,
-    filename: job.filename,
-    status: job.status,
-    uploadTime: job.uploadTime,
-    lastUpdated: job.lastUpdated
-  }));
+      // Frame rate, duration and audio of the source
+      await this.probeInput();
+      this.updateProgress('extract', 0, 'processing');
 
-  res.json(jobList);
-});
+      await this.validateCheckpoint();
+      let segmentCount = this.checkpoint.chunks.length;
+      let startFrame = this.checkpoint.chunks.reduce((sum, chunk) => sum + chunk.frameCount, 0);
+      this.framesDone = startFrame;
+      if (segmentCount > 0) {
+        this.log(`Resuming job ${this.jobId} after ${segmentCount} chunks (${startFrame} frames)`);
+      }
 
-// Root endpoint
-app.get('/', (req, res) => {
-  res.json({
-    name: 'Palace VR180 Platform',
-    version: '1.0.0',
-    description: 'AI-powered VR180 video conversion platform',
-    endpoints: {
-      health: '/api/health',
+      // Stopped while packaging streams; the final file is already done
+      if (this.checkpoint.outputDone) {
+        this.totalFrames = this.framesDone;
+        for (const name of PIPELINE_STAGES) {
+          this.updateProgress(name, 100, 'completed');
+        }
+        await this.packageStreams(await this.verifyFinalOutput(this.finalOutputPath()));
+        this.log(`VR180 processing completed for job: ${this.jobId}`);
+        return true;
+      }
+
+      // A chunk that was part way through its stages picks up where it stopped
+      const current = this.checkpoint.current;
+      if (current && current.stages.includes('extract')) {
+        const chunk = { index: current.index, dir: current.dir, startFrame: current.startFrame, frameCount: current.frameCount };
+        const exists = await fs.access(chunk.dir).then(() => true, () => false);
+
+        if (exists) {
+          this.log(`Resuming chunk ${chunk.index} after stages: ${current.stages.join(', ')}`);
+          await this.processChunk(chunk, current.stages);
+          segmentCount++;
+          startFrame += chunk.frameCount;
+          // A short chunk was the last one, measured by the size it was cut at
+          if (chunk.frameCount < (current.chunkFrames ?? this.options.chunkFrames)) this.checkpoint.allChunksDone = true;
+        } else {
+          this.checkpoint.current = null;
+        }
+      }
+
+      // Stages 1-5 run chunk by chunk until the source runs out of frames
+      while (!this.checkpoint.allChunksDone) {
+        const chunk = await this.createChunk(segmentCount + 1, startFrame);
+        await this.timeStage('extract', () => this.extractFrames(chunk));
+
+        if (chunk.frameCount === 0) {
+          await fs.rm(chunk.dir, { recursive: true, force: true });
+          this.checkpoint.allChunksDone = true;
+          break;
+        }
+
+        this.checkpoint.current = {
+          index: chunk.index,
+          dir: chunk.dir,
+          startFrame,
+          frameCount: chunk.frameCount,
+          chunkFrames: this.options.chunkFrames,
+          stages: ['extract']
+        };
+        this.saveCheckpoint();
+
+        await this.processChunk(chunk);
+        segmentCount++;
+        startFrame += chunk.frameCount;
+
+        if (chunk.frameCount < this.options.chunkFrames) this.checkpoint.allChunksDone = true;
+      }
+      this.saveCheckpoint();
+
+      if (segmentCount === 0) {
+        throw new Error('No frames extracted from video');
+      }
+
+      // The estimate from probing can be off; what was processed is the total
+      this.totalFrames = this.framesDone;
+      for (const name of PIPELINE_STAGES.filter(name => name !== 'output')) {
+        this.updateProgress(name, 100, 'completed');
+      }
+
+      // Join segments and add audio
+      this.throwIfCancelled();
+      this.updateProgress('output', 0, 'processing');
+      await this.timeStage('output', () => this.createFinalOutput(segmentCount));
+      this.updateProgress('output', 100, 'completed');
+      this.checkpoint.outputDone = true;
+      this.saveCheckpoint();
+
+      await this.packageStreams(jobStore.get(this.jobId).output);
+
+      this.log(`VR180 processing completed for job: ${this.jobId}`);
+      return true;
+    } catch (error) {
+      if (!(error instanceof JobCancelledError)) {
+        this.log(`VR180 processing failed for job ${this.jobId}:`, 'error', error);
+      }
+      throw error;
+    }
+  }
+}
+
+// A job's streaming package with where it is served; `base` goes in front
+// of the links for absolute URLs
+function streamingView(job, base = '') {
+  if (!job.streaming) return null;
+  const ready = job.status === 'completed' && job.streaming.status === 'ready';
+  const { formats = [] } = job.streaming;
+  return {
+    ...job.streaming,
+    hlsUrl: ready && formats.includes('hls') ? `${base}/api/stream/${job.id}/${HLS_MASTER_PLAYLIST}` : null,
+    dashUrl: ready && formats.includes('dash') ? `${base}/api/stream/${job.id}/${DASH_MANIFEST}` : null
+  };
+}
+
+// Body of the callback sent when a job settles
+function callbackPayload(job) {
+  const finishedAt = job.completedAt || job.failedAt || job.cancelledAt;
+  return {
+    event: `job.${job.status}`,
+    jobId: job.id,
+    status: job.status,
+    filename: job.filename,
+    downloadUrl: job.status === 'completed' ? `${job.baseUrl}/api/download/${job.id}` : null,
+    error: job.error || null,
+    startedAt: job.startedAt || null,
+    finishedAt,
+    durationMs: job.startedAt ? new Date(finishedAt) - new Date(job.startedAt) : null,
+    stageTimings: job.stageTimings || {},
+    output: job.output || null,
+    streaming: streamingView(job, job.baseUrl)
+  };
+}
+
+jobStore.on('change', (job, changes) => {
+  if (job.callbackUrl && CALLBACK_STATUSES.includes(changes.status)) {
+    webhooks.deliver(job.id, callbackPayload(job))
+      .catch(error => console.error(`Webhook delivery for job ${job.id} failed:`, error));
+  }
+});
+
+// Expected run time for a job: mean of recently completed jobs, or a
+// fallback until there is some history
+const DEFAULT_JOB_DURATION_MS = 10 * 60 * 1000;
+
+function averageJobDuration() {
+  const durations = jobStore.list()
+    .filter(job => job.status === 'completed' && job.startedAt && job.completedAt)
+    .sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt))
+    .slice(0, 20)
+    .map(job => new Date(job.completedAt) - new Date(job.startedAt));
+
+  if (durations.length === 0) return DEFAULT_JOB_DURATION_MS;
+  return durations.reduce((sum, d) => sum + d, 0) / durations.length;
+}
+
+// Expected per-stage costs from recent jobs, refreshed as jobs complete
+let historicalCosts = null;
+
+jobStore.on('change', (job, changes) => {
+  if (changes.status === 'completed') {
+    historicalCosts = historicalStageCosts(jobStore.list());
+  }
+});
+
+// Weighted overall progress and, while the job runs, when it should finish
+function jobProgress(job) {
+  return {
+    overallProgress: job.status === 'completed' ? 100 : overallProgress(job.stages, historicalCosts),
+    eta: job.status === 'processing' ? estimateCompletion(job.stages, job.frames?.total, historicalCosts) : null
+  };
+}
+
+async function removeJobFiles(job) {
+  await fs.rm(`outputs/${job.id}`, { recursive: true, force: true });
+  if (job.inputPath) {
+    await fs.rm(job.inputPath, { force: true });
+  }
+}
+
+async function runJob(jobId) {
+  const job = jobStore.get(jobId);
+  if (!job || job.status !== 'queued') return;
+
+  const pipeline = new VR180Pipeline(jobId, job.inputPath, job.options, job.checkpoint);
+  job.pipeline = pipeline;
+  jobStore.update(jobId, { status: 'processing', startedAt: new Date(), lastUpdated: new Date() });
+
+  try {
+    await pipeline.processVideo();
+    pipeline.throwIfCancelled();
+    jobStore.update(jobId, { status: 'completed', completedAt: new Date() });
+    console.log(`Job ${jobId} completed successfully`);
+  } catch (error) {
+    if (error instanceof JobCancelledError) {
+      // Files go only once the pipeline has stopped writing them
+      await removeJobFiles(job);
+      console.log(`Job ${jobId} cancelled`);
+      return;
+    }
+    jobStore.update(jobId, {
+      status: 'failed',
+      error: error.message,
+      // Itemised reasons when an imported source turned out unusable
+      errorDetails: error instanceof MediaValidationError ? error.problems : undefined,
+      failedAt: new Date()
+    });
+    console.error(`Job ${jobId} failed:`, error);
+  } finally {
+    delete job.pipeline;
+  }
+}
+
+// Jobs wait here so only a few pipelines compete for the CPU at once
+const jobQueue = new JobQueue({
+  concurrency: Number(process.env.MAX_CONCURRENT_JOBS) || 1,
+  maxWaiting: Number(process.env.MAX_QUEUED_JOBS) || 20,
+  run: runJob,
+  averageDuration: averageJobDuration
+});
+
+// API Routes
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    version: '1.0.0'
+  });
+});
+
+function parseOptionsField(raw) {
+  if (raw === undefined || raw === '') return { options: {}, errors: [] };
+
+  let parsed;
+  try {
+    parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch (error) {
+    return { options: {}, errors: [{ option: null, message: `options is not valid JSON: ${error.message}` }] };
+  }
+  return validatePipelineOptions(parsed);
+}
+
+// Every client-settable option, with defaults filled in, so the job records
+// exactly what it was converted with
+function resolveJobOptions(requested) {
+  return Object.fromEntries(
+    Object.keys(PIPELINE_OPTION_SCHEMA).map(name => [name, requested[name] ?? DEFAULT_PIPELINE_OPTIONS[name]])
+  );
+}
+
+// Option schema with defaults, for building forms
+app.get('/api/options', (req, res) => {
+  res.json(describePipelineOptions());
+});
+
+// Checks a preset body from POST/PUT; returns an error response body or null
+function presetBodyError(body) {
+  if (body?.description !== undefined && typeof body.description !== 'string') {
+    return { error: 'description must be a string' };
+  }
+
+  const { errors } = validatePipelineOptions(body?.options ?? null);
+  if (errors.length > 0) {
+    return { error: 'Invalid options', details: errors };
+  }
+  return null;
+}
+
+// Preset endpoints
+app.get('/api/presets', (req, res) => {
+  res.json(presetStore.list());
+});
+
+app.get('/api/presets/:name', (req, res) => {
+  const preset = presetStore.get(req.params.name);
+  if (!preset) {
+    return res.status(404).json({ error: 'Preset not found' });
+  }
+  res.json(preset);
+});
+
+app.post('/api/presets', async (req, res) => {
+  const name = req.body?.name;
+  if (typeof name !== 'string' || !PRESET_NAME_PATTERN.test(name)) {
+    return res.status(400).json({ error: 'name must be lowercase letters and digits separated by dashes, e.g. "my-preset"' });
+  }
+
+  if (presetStore.get(name)) {
+    return res.status(409).json({ error: `Preset ${name} already exists` });
+  }
+
+  const invalid = presetBodyError(req.body);
+  if (invalid) {
+    return res.status(400).json(invalid);
+  }
+
+  try {
+    const preset = await presetStore.save({ name, description: req.body.description, options: req.body.options });
+    res.status(201).json(preset);
+  } catch (error) {
+    console.error('Failed to save preset:', error);
+    res.status(500).json({ error: 'Failed to save preset', details: error.message });
+  }
+});
+
+app.put('/api/presets/:name', async (req, res) => {
+  const name = req.params.name;
+
+  if (presetStore.isBuiltIn(name)) {
+    return res.status(403).json({ error: 'Built-in presets cannot be changed' });
+  }
+
+  if (!presetStore.get(name)) {
+    return res.status(404).json({ error: 'Preset not found' });
+  }
+
+  const invalid = presetBodyError(req.body);
+  if (invalid) {
+    return res.status(400).json(invalid);
+  }
+
+  try {
+    const preset = await presetStore.save({ name, description: req.body.description, options: req.body.options });
+    res.json(preset);
+  } catch (error) {
+    console.error('Failed to save preset:', error);
+    res.status(500).json({ error: 'Failed to save preset', details: error.message });
+  }
+});
+
+app.delete('/api/presets/:name', async (req, res) => {
+  const name = req.params.name;
+
+  if (presetStore.isBuiltIn(name)) {
+    return res.status(403).json({ error: 'Built-in presets cannot be deleted' });
+  }
+
+  try {
+    if (!(await presetStore.remove(name))) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Failed to delete preset:', error);
+    res.status(500).json({ error: 'Failed to delete preset', details: error.message });
+  }
+});
+
+// Upload endpoint
+// Reads conversion options, preset and callback URL from an upload request.
+// Returns { fields } for the job, or { error } with the 400 response body.
+function parseJobRequest(body = {}) {
+  // Conversion options arrive as JSON (a string in form uploads) in
+  // `options`; a plain `depthBackend` field is still accepted as a shorthand
+  const { options: requested, errors } = parseOptionsField(body.options);
+  if (body.depthBackend && !('depthBackend' in requested)) {
+    const checked = validatePipelineOptions({ depthBackend: body.depthBackend });
+    Object.assign(requested, checked.options);
+    errors.push(...checked.errors);
+  }
+  if (errors.length > 0) {
+    return { error: { error: 'Invalid options', details: errors } };
+  }
+
+  // A preset supplies defaults; explicit options still win
+  const presetName = body.preset || null;
+  const preset = presetName ? presetStore.get(presetName) : null;
+  if (presetName && !preset) {
+    return {
+      error: {
+        error: `Unknown preset: ${presetName}`,
+        available: presetStore.list().map(p => p.name)
+      }
+    };
+  }
+  const options = resolveJobOptions({ ...preset?.options, ...requested });
+
+  // Optional webhook notified when the job completes, fails or is cancelled
+  const callbackUrl = body.callbackUrl || null;
+  if (callbackUrl && !isValidCallbackUrl(callbackUrl)) {
+    return { error: { error: 'callbackUrl must be an http or https URL' } };
+  }
+  if (callbackUrl && !webhooks.enabled) {
+    return { error: { error: 'Callbacks are not enabled on this server (WEBHOOK_SECRET is not set)' } };
+  }
+
+  return { fields: { options, preset: presetName, callbackUrl } };
+}
+
+// Probes an upload before a job is created for it. Sends a 422 listing each
+// problem and returns null when the file cannot be converted.
+async function inspectUpload(filePath, res) {
+  try {
+    return await inspectMedia(filePath);
+  } catch (error) {
+    if (!(error instanceof MediaValidationError)) throw error;
+    res.status(422).json({ error: 'The file is not a video that can be converted', details: error.problems, media: error.media });
+    return null;
+  }
+}
+
+function sendQueueFull(res) {
+  res.set('Retry-After', String(Math.ceil(averageJobDuration() / 1000)));
+  return res.status(503).json({ error: new QueueFullError(jobQueue.maxWaiting).message });
+}
+
+// Creates and queues the job for an uploaded file. `force` skips the queue
+// limit, for batches that were admitted as a whole.
+function createJob(req, { jobId = uuidv4(), filename, size, inputPath, sourceUrl = null, media = null, batchId = null },
+  { options, preset, callbackUrl },
+  { message = 'Video uploaded successfully. Processing will start shortly.', force = false } = {}) {
+  const job = {
+    id: jobId,
+    filename,
+    size,
+    inputPath,
+    sourceUrl,
+    media,
+    batchId,
+    uploadTime: new Date(),
+    status: 'queued',
+    depthBackend: options.depthBackend,
+    preset,
+    options,
+    callbackUrl,
+    // Used to build absolute links for callbacks
+    baseUrl: process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`,
+    stages: pendingStages({ download: Boolean(sourceUrl), streaming: options.streamingFormat !== 'none' }),
+    lastUpdated: new Date()
+  };
+
+  // Queued first, so a full queue leaves no record behind. The queue starts
+  // jobs asynchronously, so the record exists by the time this one runs.
+  jobQueue.add(jobId, { force });
+  jobStore.create(job);
+
+  return {
+    message,
+    jobId: jobId,
+    filename,
+    queuePosition: jobQueue.position(jobId)
+  };
+}
+
+app.post('/api/upload', upload.single('video'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No video file uploaded' });
+    }
+
+    const { fields, error } = parseJobRequest(req.body);
+    if (error) {
+      await fs.rm(req.file.path, { force: true });
+      return res.status(400).json(error);
+    }
+
+    console.log(`New upload received: ${req.file.originalname} (${req.file.size} bytes)`);
+
+    const media = await inspectUpload(req.file.path, res);
+    if (!media) {
+      await fs.rm(req.file.path, { force: true });
+      return;
+    }
+
+    // Refuse the upload rather than let the backlog grow without bound
+    if (jobQueue.isFull()) {
+      await fs.rm(req.file.path, { force: true });
+      return sendQueueFull(res);
+    }
+
+    res.json(createJob(req, {
+      filename: req.file.originalname,
+      size: req.file.size,
+      inputPath: req.file.path,
+      media
+    }, fields));
+
+  } catch (error) {
+    console.error('Upload error:', error);
+    res.status(500).json({
+      error: 'Failed to upload video',
+      details: error.message
+    });
+  }
+});
+
+// Convert a video the server downloads itself. Body: { url, options, preset,
+// callbackUrl }. The download runs as the job's first stage, so problems with
+// the source show up as a failed job.
+app.post('/api/import', async (req, res) => {
+  try {
+    if (IMPORT_ALLOWED_HOSTS.length === 0) {
+      return res.status(400).json({ error: IMPORTS_DISABLED_MESSAGE });
+    }
+
+    const url = req.body?.url;
+    if (typeof url !== 'string' || url === '') {
+      return res.status(400).json({ error: 'url is required' });
+    }
+    const urlError = checkImportUrl(url, IMPORT_ALLOWED_HOSTS);
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
+    }
+
+    const { fields, error } = parseJobRequest(req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+    if (jobQueue.isFull()) {
+      return sendQueueFull(res);
+    }
+
+    const jobId = uuidv4();
+    const filename = importFilename(url);
+    console.log(`New import: ${url}`);
+
+    res.json(createJob(req, {
+      jobId,
+      filename,
+      size: null,
+      inputPath: path.join('uploads', `${jobId}-${filename}`),
+      sourceUrl: url
+    }, fields, { message: 'Import queued. The video will be downloaded when processing starts.' }));
+  } catch (error) {
+    console.error('Import error:', error);
+    res.status(500).json({ error: 'Failed to import video', details: error.message });
+  }
+});
+
+// Batch upload: several `video` files with shared options, preset and
+// callbackUrl, one job per file. Files that fail inspection are listed under
+// `rejected` while the rest go ahead. A batch is admitted whole when the queue
+// has room, so a large shoot is not refused part way.
+const MAX_BATCH_FILES = Number(process.env.MAX_BATCH_FILES) || 50;
+
+app.post('/api/batches', upload.array('video', MAX_BATCH_FILES), async (req, res) => {
+  const files = req.files || [];
+  const removeFiles = () => Promise.all(files.map(file => fs.rm(file.path, { force: true })));
+
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No video files uploaded' });
+    }
+
+    const { fields, error } = parseJobRequest(req.body);
+    if (error) {
+      await removeFiles();
+      return res.status(400).json(error);
+    }
+    if (jobQueue.isFull()) {
+      await removeFiles();
+      return sendQueueFull(res);
+    }
+
+    const accepted = [];
+    const rejected = [];
+    for (const file of files) {
+      try {
+        accepted.push({ file, media: await inspectMedia(file.path) });
+      } catch (inspectError) {
+        if (!(inspectError instanceof MediaValidationError)) throw inspectError;
+        await fs.rm(file.path, { force: true });
+        rejected.push({
+          filename: file.originalname,
+          error: 'The file is not a video that can be converted',
+          details: inspectError.problems
+        });
+      }
+    }
+
+    if (accepted.length === 0) {
+      return res.status(422).json({ error: 'None of the files is a video that can be converted', rejected });
+    }
+
+    const batchId = uuidv4();
+    const jobs = accepted.map(({ file, media }) => createJob(req, {
+      filename: file.originalname,
+      size: file.size,
+      inputPath: file.path,
+      media,
+      batchId
+    }, fields, { force: true }));
+    console.log(`New batch ${batchId}: ${jobs.length} videos, ${rejected.length} rejected`);
+
+    res.json({
+      message: `${jobs.length} videos uploaded successfully. Processing will start shortly.`,
+      batchId,
+      jobs: jobs.map(({ jobId, filename, queuePosition }) => ({ jobId, filename, queuePosition })),
+      rejected
+    });
+  } catch (error) {
+    console.error('Batch upload error:', error);
+    await removeFiles();
+    res.status(500).json({ error: 'Failed to upload videos', details: error.message });
+  }
+});
+
+function batchJobs(batchId) {
+  return jobStore.list().filter(job => job.batchId === batchId);
+}
+
+// Aggregate status with one entry per file
+app.get('/api/batches/:batchId', (req, res) => {
+  const jobs = batchJobs(req.params.batchId);
+  if (jobs.length === 0) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+
+  const counts = {};
+  for (const job of jobs) {
+    counts[job.status] = (counts[job.status] || 0) + 1;
+  }
+
+  res.json({
+    id: req.params.batchId,
+    status: batchStatus(jobs),
+    overallProgress: batchProgress(jobs, job => jobProgress(job).overallProgress),
+    uploadTime: jobs[0].uploadTime,
+    counts,
+    downloadUrl: counts.completed ? `/api/batches/${req.params.batchId}/download` : null,
+    jobs: jobs.map(job => {
+      const { overallProgress, eta } = jobProgress(job);
+      return {
+        id: job.id,
+        filename: job.filename,
+        status: job.status,
+        overallProgress,
+        eta,
+        queuePosition: jobQueue.position(job.id),
+        error: job.error,
+        errorDetails: job.errorDetails,
+        expiresAt: retention.expiresAt(job),
+        downloadUrl: job.status === 'completed' ? `/api/download/${job.id}` : null
+      };
+    })
+  });
+});
+
+// Zip of every finished output in the batch; videos still processing are
+// left out, so this can be fetched again later for the rest
+app.get('/api/batches/:batchId/download', async (req, res) => {
+  const jobs = batchJobs(req.params.batchId);
+  if (jobs.length === 0) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+
+  const completed = [];
+  for (const job of jobs.filter(job => job.status === 'completed')) {
+    const outputPath = `outputs/${job.id}/final_vr180.mp4`;
+    const exists = await fs.access(outputPath).then(() => true, () => false);
+    if (exists) completed.push({ job, outputPath });
+  }
+  if (completed.length === 0) {
+    return res.status(409).json({ error: 'No video in this batch has finished converting yet' });
+  }
+
+  const names = zipEntryNames(completed.map(({ job }) => job));
+  // Videos are already compressed; storing them keeps the zip fast to build
+  const archive = archiver('zip', { store: true });
+  archive.on('error', (error) => {
+    console.error(`Zip for batch ${req.params.batchId} failed:`, error);
+    res.destroy(error);
+  });
+
+  res.attachment(`vr180_batch_${req.params.batchId}.zip`);
+  archive.pipe(res);
+  completed.forEach(({ outputPath }, index) => archive.file(outputPath, { name: names[index] }));
+  await archive.finalize();
+});
+
+function uploadSessionView(session) {
+  return {
+    uploadId: session.id,
+    filename: session.filename,
+    size: session.size,
+    offset: session.offset,
+    expiresAt: session.expiresAt
+  };
+}
+
+// Start a resumable upload. Body: { filename, size, mimeType, options,
+// preset, callbackUrl }; options are checked now so a large upload is not
+// refused only once it has arrived.
+app.post('/api/uploads', async (req, res) => {
+  try {
+    const { filename, size, mimeType } = req.body || {};
+    if (typeof filename !== 'string' || filename.trim() === '') {
+      return res.status(400).json({ error: 'filename is required' });
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+      return res.status(400).json({ error: 'size must be a positive number of bytes' });
+    }
+    if (size > MAX_UPLOAD_SIZE_MB * 1024 * 1024) {
+      return res.status(413).json({ error: `File size must be less than ${MAX_UPLOAD_SIZE_MB}MB` });
+    }
+    if (!isAllowedVideo(filename, mimeType)) {
+      return res.status(400).json({ error: INVALID_FILE_TYPE_MESSAGE });
+    }
+
+    const { fields, error } = parseJobRequest(req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+    if (jobQueue.isFull()) {
+      return sendQueueFull(res);
+    }
+
+    const session = await uploadSessions.create({
+      filename: path.basename(filename),
+      size,
+      mimeType,
+      fields
+    });
+    console.log(`Resumable upload ${session.id} started: ${session.filename} (${size} bytes)`);
+
+    res.status(201)
+      .location(`/api/uploads/${session.id}`)
+      .json(uploadSessionView(await uploadSessions.get(session.id)));
+  } catch (error) {
+    console.error('Upload error:', error);
+    res.status(500).json({ error: 'Failed to start upload', details: error.message });
+  }
+});
+
+// How much of a resumable upload has arrived
+app.get('/api/uploads/:uploadId', async (req, res) => {
+  const session = await uploadSessions.get(req.params.uploadId);
+  if (!session) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+  res.json(uploadSessionView(session));
+});
+
+// Append bytes to a resumable upload. Upload-Offset must equal the current
+// offset; the raw body (application/offset+octet-stream) is appended there.
+// The request that brings the upload to its full size creates the job and
+// gets the same response as POST /api/upload.
+app.patch('/api/uploads/:uploadId', async (req, res) => {
+  try {
+    if (!req.is('application/offset+octet-stream')) {
+      return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+    }
+    const offset = Number(req.get('Upload-Offset'));
+    if (req.get('Upload-Offset') === undefined || !Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'Upload-Offset header must be a byte offset' });
+    }
+
+    let session;
+    try {
+      session = await uploadSessions.append(req.params.uploadId, offset, req);
+    } catch (error) {
+      if (error instanceof UploadOffsetError) {
+        return res.status(409).json({ error: error.message, offset: error.offset });
+      }
+      if (error instanceof UploadBusyError) {
+        return res.status(409).json({ error: error.message });
+      }
+      if (error instanceof UploadOverflowError) {
+        return res.status(413).json({ error: error.message });
+      }
+      throw error;
+    }
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    if (session.offset < session.size) {
+      return res.json(uploadSessionView(session));
+    }
+
+    // Everything has arrived. Two requests can both reach the final offset;
+    // the session stays locked until it is gone, so the other one finds
+    // nothing left to finish.
+    let finished;
+    try {
+      finished = await uploadSessions.finish(session.id, async current => {
+        // An unusable file will not become usable by resuming, so it goes
+        const media = await inspectUpload(uploadSessions.dataPath(current.id), res);
+        if (!media) {
+          await uploadSessions.remove(current.id);
+          return;
+        }
+
+        // A full queue keeps the upload so the client can finish it later
+        // with an empty request at the final offset
+        if (jobQueue.isFull()) {
+          sendQueueFull(res);
+          return;
+        }
+
+        const inputPath = path.join('uploads', `${current.id}-${current.filename}`);
+        await uploadSessions.complete(current.id, inputPath);
+        console.log(`New upload received: ${current.filename} (${current.size} bytes, resumable)`);
+
+        // The upload is gone from its session now, so it has to be admitted
+        // even if the queue filled up while the file was being moved
+        res.json(createJob(req, { filename: current.filename, size: current.size, inputPath, media }, current.fields, { force: true }));
+      });
+    } catch (error) {
+      if (error instanceof UploadBusyError) {
+        return res.status(409).json({ error: error.message });
+      }
+      throw error;
+    }
+    if (!finished) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+  } catch (error) {
+    console.error('Upload error:', error);
+    res.status(500).json({ error: 'Failed to upload video', details: error.message });
+  }
+});
+
+// Abandon a resumable upload
+app.delete('/api/uploads/:uploadId', async (req, res) => {
+  const removed = await uploadSessions.remove(req.params.uploadId);
+  if (!removed) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+  res.status(204).end();
+});
+
+// Public view of a job, shared by the status endpoint and event stream
+function jobStatus(job) {
+  return {
+    id: job.id,
+    filename: job.filename,
+    batchId: job.batchId,
+    sourceUrl: job.sourceUrl,
+    download: job.download,
+    status: job.status,
+    stages: job.stages,
+    ...jobProgress(job),
+    queuePosition: jobQueue.position(job.id),
+    estimatedStartTime: jobQueue.estimatedStart(job.id),
+    uploadTime: job.uploadTime,
+    startedAt: job.startedAt,
+    lastUpdated: job.lastUpdated,
+    completedAt: job.completedAt,
+    failedAt: job.failedAt,
+    interruptedAt: job.interruptedAt,
+    cancelledAt: job.cancelledAt,
+    expiresAt: retention.expiresAt(job),
+    expiredAt: job.expiredAt,
+    error: job.error,
+    errorDetails: job.errorDetails,
+    retries: job.retries,
+    resumeFrom: job.status === 'failed' || job.status === 'interrupted' ? resumePoint(job.checkpoint) : undefined,
+    media: job.media,
+    frames: job.frames,
+    depthBackend: job.depthBackend,
+    preset: job.preset,
+    options: job.options,
+    upscaling: job.upscaling,
+    output: job.output,
+    streaming: streamingView(job),
+    stageTimings: job.stageTimings,
+    callbackUrl: job.callbackUrl,
+    callback: job.callback
+  };
+}
+
+// Status endpoint
+app.get('/api/status/:jobId', (req, res) => {
+  const jobId = req.params.jobId;
+  const job = jobStore.get(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(jobStatus(job));
+});
+
+// Progress is reported after every frame; streams pass it on at most this often
+const PROGRESS_EVENT_INTERVAL_MS = 250;
+const STREAM_HEARTBEAT_MS = 15000;
+
+// Status event stream (Server-Sent Events). Events:
+//   status   full job status, on connect and whenever the status changes
+//   progress stages and frame counts
+//   stage    a stage moved from one status to another
+//   log      a pipeline log line
+//   done     final job status; the stream closes after it
+app.get('/api/status/:jobId/events', (req, res) => {
+  const jobId = req.params.jobId;
+  const job = jobStore.get(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // keep reverse proxies from buffering events
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let lastStatus = job.status;
+  let stageStatuses = new Map((job.stages || []).map(stage => [stage.name, stage.status]));
+  let progressTimer = null;
+
+  const sendProgress = () => {
+    progressTimer = null;
+    send('progress', { stages: job.stages, frames: job.frames, upscaling: job.upscaling, ...jobProgress(job) });
+  };
+
+  const close = () => {
+    clearTimeout(progressTimer);
+    clearInterval(heartbeat);
+    jobStore.off('change', onChange);
+    pipelineLogs.off(jobId, onLog);
+    res.end();
+  };
+
+  const onChange = (changed, changes) => {
+    if (changed.id !== jobId) return;
+
+    if (changes.stages) {
+      for (const stage of changed.stages) {
+        const previous = stageStatuses.get(stage.name);
+        if (previous !== stage.status) {
+          send('stage', { name: stage.name, from: previous, to: stage.status });
+        }
+      }
+      stageStatuses = new Map(changed.stages.map(stage => [stage.name, stage.status]));
+
+      if (!progressTimer) {
+        progressTimer = setTimeout(sendProgress, PROGRESS_EVENT_INTERVAL_MS);
+      }
+    }
+
+    if (changed.status !== lastStatus) {
+      lastStatus = changed.status;
+      if (TERMINAL_STATUSES.includes(changed.status)) {
+        send('done', jobStatus(changed));
+        close();
+        return;
+      }
+      send('status', jobStatus(changed));
+    }
+  };
+
+  const onLog = (entry) => send('log', entry);
+
+  // Comments keep idle connections open; queued jobs also get their
+  // (changing) queue position
+  const heartbeat = setInterval(() => {
+    if (job.status === 'queued') send('status', jobStatus(job));
+    else res.write(': keep-alive\n\n');
+  }, STREAM_HEARTBEAT_MS);
+
+  send('status', jobStatus(job));
+  if (TERMINAL_STATUSES.includes(job.status)) {
+    send('done', jobStatus(job));
+    close();
+    return;
+  }
+
+  jobStore.on('change', onChange);
+  pipelineLogs.on(jobId, onLog);
+  req.on('close', close);
+});
+
+// Download endpoint
+app.get('/api/download/:jobId', async (req, res) => {
+  const jobId = req.params.jobId;
+  const job = jobStore.get(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (job.status === 'expired') {
+    return res.status(410).json({ error: 'Output has expired and was deleted', expiredAt: job.expiredAt });
+  }
+
+  if (job.status !== 'completed') {
+    return res.status(400).json({ error: 'Job not completed yet' });
+  }
+
+  const outputPath = `outputs/${jobId}/final_vr180.mp4`;
+
+  try {
+    // Check if output file exists
+    await fs.access(outputPath);
+
+    // Send file
+    res.download(outputPath, `${job.filename.replace(/\.[^/.]+$/, "")}_VR180.mp4`);
+  } catch (error) {
+    res.status(404).json({ error: 'Output file not found' });
+  }
+});
+
+// Content types for streaming package files; the defaults for these
+// extensions vary between mime databases
+const STREAM_CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.mpd': 'application/dash+xml',
+  '.ts': 'video/mp2t',
+  '.mp4': 'video/mp4',
+  '.m4s': 'video/iso.segment'
+};
+
+// Adaptive streaming package: master.m3u8 or manifest.mpd and the
+// playlists and segments they refer to. Range requests are answered by
+// sendFile. Segments never change, so caches may keep them until the job
+// expires; playlists are revalidated so an expired job is noticed.
+app.get('/api/stream/:jobId/*file', (req, res) => {
+  const job = jobStore.get(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (job.status === 'expired') {
+    return res.status(410).json({ error: 'Output has expired and was deleted', expiredAt: job.expiredAt });
+  }
+
+  if (job.status !== 'completed' || job.streaming?.status !== 'ready') {
+    return res.status(404).json({ error: 'No streaming package for this job' });
+  }
+
+  const file = req.params.file.join('/');
+  const extension = path.extname(file);
+  if (!STREAM_CONTENT_TYPES[extension]) {
+    return res.status(404).json({ error: 'Stream file not found' });
+  }
+
+  res.type(STREAM_CONTENT_TYPES[extension]);
+  if (extension === '.m3u8' || extension === '.mpd') {
+    res.set('Cache-Control', 'no-cache');
+  } else {
+    const maxAge = Math.max(0, Math.floor((retention.expiresAt(job) - Date.now()) / 1000));
+    res.set('Cache-Control', `public, max-age=${maxAge}, immutable`);
+  }
+
+  // root keeps the path inside the job's package
+  res.sendFile(file, { root: path.resolve(`outputs/${job.id}/${STREAM_DIR}`), cacheControl: false }, (error) => {
+    if (!error || res.headersSent) return;
+    // Missing files and paths outside the package look the same
+    if (error.status < 500) res.status(404).json({ error: 'Stream file not found' });
+    else res.status(500).json({ error: 'Failed to send stream file' });
+  });
+});
+
+// Spherical metadata check endpoint: parses the boxes back out of the output
+app.get('/api/spherical/:jobId', async (req, res) => {
+  const jobId = req.params.jobId;
+  const job = jobStore.get(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (job.status === 'expired') {
+    return res.status(410).json({ error: 'Output has expired and was deleted', expiredAt: job.expiredAt });
+  }
+
+  if (job.status !== 'completed') {
+    return res.status(400).json({ error: 'Job not completed yet' });
+  }
+
+  try {
+    const spherical = await readSphericalMetadata(`outputs/${jobId}/final_vr180.mp4`);
+    res.json({ present: spherical !== null, spherical });
+  } catch (error) {
+    res.status(404).json({ error: 'Output file not found', details: error.message });
+  }
+});
+
+// Disk usage of uploads and outputs, plus the retention settings
+app.get('/api/storage', async (req, res) => {
+  try {
+    res.json(await retention.diskUsage());
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read disk usage', details: error.message });
+  }
+});
+
+// List all jobs endpoint (for debugging)
+app.get('/api/jobs', (req, res) => {
+  const jobList = jobStore.list().map(job => ({
+    id: job.id,
+    filename: job.filename,
+    status: job.status,
+    uploadTime: job.uploadTime,
+    lastUpdated: job.lastUpdated
+  }));
+
+  res.json(jobList);
+});
+
+// Cancel endpoint: stops a queued or running job and deletes its files
+app.delete('/api/jobs/:jobId', async (req, res) => {
+  const jobId = req.params.jobId;
+  const job = jobStore.get(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (job.status !== 'queued' && job.status !== 'processing') {
+    return res.status(409).json({ error: `Job is already ${job.status}` });
+  }
+
+  const wasQueued = jobQueue.remove(jobId);
+  jobStore.update(jobId, { status: 'cancelled', cancelledAt: new Date(), lastUpdated: new Date() });
+
+  if (wasQueued) {
+    await removeJobFiles(job);
+    console.log(`Job ${jobId} cancelled before it started`);
+  } else {
+    // runJob cleans up once the pipeline has stopped
+    job.pipeline?.cancel();
+  }
+
+  res.json({ id: jobId, status: 'cancelled' });
+});
+
+// Retry endpoint: resumes a failed or interrupted job from its checkpoint.
+// Body may contain `options` to change for the stages that still have to run.
+app.post('/api/jobs/:jobId/retry', async (req, res) => {
+  const jobId = req.params.jobId;
+  const job = jobStore.get(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (job.status !== 'failed' && job.status !== 'interrupted') {
+    return res.status(409).json({ error: `Only failed or interrupted jobs can be retried (job is ${job.status})` });
+  }
+
+  // Imported sources are downloaded again if needed
+  try {
+    if (!job.sourceUrl) await fs.access(job.inputPath);
+  } catch {
+    return res.status(410).json({ error: 'The uploaded video is no longer available' });
+  }
+
+  const { options: changes, errors } = validatePipelineOptions(req.body?.options ?? {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid options', details: errors });
+  }
+
+  // An extracted chunk counts too: it was cut at the old chunk size
+  const started = (job.checkpoint?.chunks.length ?? 0) > 0 || Boolean(job.checkpoint?.current);
+  const locked = SEGMENT_FORMAT_OPTIONS.filter(key => key in changes && changes[key] !== job.options?.[key]);
+  if (started && locked.length > 0) {
+    return res.status(400).json({
+      error: `Cannot change ${locked.join(', ')} after part of the video has been processed`
+    });
+  }
+
+  if (jobQueue.isFull()) {
+    return sendQueueFull(res);
+  }
+
+  const options = { ...job.options, ...changes };
+  jobStore.update(jobId, {
+    status: 'queued',
+    options,
+    depthBackend: options.depthBackend,
+    retries: (job.retries || 0) + 1,
+    error: undefined,
+    errorDetails: undefined,
+    failedAt: undefined,
+    interruptedAt: undefined,
+    upscaling: undefined,
+    output: undefined,
+    streaming: undefined,
+    lastUpdated: new Date()
+  });
+  jobQueue.add(jobId);
+
+  console.log(`Retrying job ${jobId} from ${JSON.stringify(resumePoint(job.checkpoint))}`);
+  res.json({
+    id: jobId,
+    status: 'queued',
+    queuePosition: jobQueue.position(jobId),
+    resumeFrom: resumePoint(job.checkpoint)
+  });
+});
+
+// Root endpoint
+app.get('/', (req, res) => {
+  res.json({
+    name: 'Palace VR180 Platform',
+    version: '1.0.0',
+    description: 'AI-powered VR180 video conversion platform',
+    endpoints: {
+      health: '/api/health',
       upload: 'POST /api/upload',
+      resumableUpload: 'POST /api/uploads, GET/PATCH/DELETE /api/uploads/:uploadId',
+      import: 'POST /api/import',
+      batches: 'POST /api/batches, GET /api/batches/:batchId, GET /api/batches/:batchId/download',
       status: 'GET /api/status/:jobId',
+      statusEvents: 'GET /api/status/:jobId/events',
       download: 'GET /api/download/:jobId',
-      jobs: 'GET /api/jobs'
+      stream: 'GET /api/stream/:jobId/master.m3u8, GET /api/stream/:jobId/manifest.mpd',
+      spherical: 'GET /api/spherical/:jobId',
+      options: 'GET /api/options',
+      presets: 'GET/POST /api/presets, GET/PUT/DELETE /api/presets/:name',
+      jobs: 'GET /api/jobs',
+      cancel: 'DELETE /api/jobs/:jobId',
+      retry: 'POST /api/jobs/:jobId/retry',
+      storage: 'GET /api/storage'
     },
     status: 'running'
   });
@@ -567,6 +2198,29 @@ app.use((error, req, res, next) => {
   });
 });
 
+await presetStore.load();
+
+// Restore jobs from previous runs before accepting requests; jobs that
+// never got to start go back into the queue in upload order
+await jobStore.load();
+historicalCosts = historicalStageCosts(jobStore.list());
+jobStore.list()
+  .filter(job => job.status === 'queued')
+  .sort((a, b) => new Date(a.uploadTime) - new Date(b.uploadTime))
+  .forEach(job => jobQueue.add(job.id, { force: true }));
+
+// Sweep once now, then on an interval
+retention.start();
+uploadSessions.start();
+
+// Flush pending job writes when the platform stops the instance
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, async () => {
+    await jobStore.flush();
+    process.exit(0);
+  });
+}
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🏰 Palace VR180 Platform Server`);
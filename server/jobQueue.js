@@ -0,0 +1,90 @@
+// FIFO queue that runs at most `concurrency` jobs at a time.
+//
+// `run(jobId)` is called when a job gets a slot and should return a promise
+// that settles when the job is finished; the next waiting job starts then.
+// `averageDuration()` returns the expected run time in milliseconds and is
+// used to estimate when waiting jobs will start.
+
+export class QueueFullError extends Error {
+  constructor(limit) {
+    super(`The processing queue is full (${limit} jobs waiting). Please try again later.`);
+    this.name = 'QueueFullError';
+    this.limit = limit;
+  }
+}
+
+export class JobQueue {
+  constructor({ concurrency = 1, maxWaiting = Infinity, run, averageDuration }) {
+    this.concurrency = Math.max(1, concurrency);
+    this.maxWaiting = maxWaiting;
+    this.run = run;
+    this.averageDuration = averageDuration;
+    this.waiting = [];
+    this.running = new Map(); // jobId -> start time in ms
+  }
+
+  isFull() {
+    return this.waiting.length >= this.maxWaiting;
+  }
+
+  // `force` skips the limit, e.g. for jobs restored after a restart
+  add(jobId, { force = false } = {}) {
+    if (!force && this.isFull()) {
+      throw new QueueFullError(this.maxWaiting);
+    }
+    this.waiting.push(jobId);
+    this.drain();
+  }
+
+  // Drops a job that has not started yet
+  remove(jobId) {
+    const index = this.waiting.indexOf(jobId);
+    if (index === -1) return false;
+    this.waiting.splice(index, 1);
+    return true;
+  }
+
+  isWaiting(jobId) {
+    return this.waiting.includes(jobId);
+  }
+
+  // 1-based position among waiting jobs, or null if not waiting
+  position(jobId) {
+    const index = this.waiting.indexOf(jobId);
+    return index === -1 ? null : index + 1;
+  }
+
+  // Replays the queue against the slots' expected free times
+  estimatedStart(jobId) {
+    const index = this.waiting.indexOf(jobId);
+    if (index === -1) return null;
+
+    const now = Date.now();
+    const duration = this.averageDuration();
+    const slots = Array.from(this.running.values()).map(start => Math.max(now, start + duration));
+    while (slots.length < this.concurrency) slots.push(now);
+
+    let start = now;
+    for (let i = 0; i <= index; i++) {
+      slots.sort((a, b) => a - b);
+      start = slots[0];
+      slots[0] = start + duration;
+    }
+    return new Date(start);
+  }
+
+  drain() {
+    while (this.running.size < this.concurrency && this.waiting.length > 0) {
+      const jobId = this.waiting.shift();
+      this.running.set(jobId, Date.now());
+
+      Promise.resolve()
+        .then(() => this.run(jobId))
+        .catch(error => console.error(`Queued job ${jobId} failed to run:`, error))
+        .finally(() => {
+          this.running.delete(jobId);
+          this.drain();
+        });
+    }
+  }
+}
@@ -0,0 +1,161 @@
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Persistent job repository backed by an append-only JSON Lines journal.
+//
+// Every write appends the job's full current state as one line; on boot the
+// journal is replayed (last line per job wins) and compacted to one line per
+// job. Jobs that were still running when the server stopped come back as
+// `interrupted` instead of disappearing; queued jobs never started, so they
+// are kept as they are and can be queued again.
+//
+// Emits `change` with (job, changes) after every create and update.
+
+// Statuses a job can no longer leave on its own
+export const TERMINAL_STATUSES = ['completed', 'failed', 'interrupted', 'cancelled', 'expired'];
+
+// Runtime-only fields that must never be written to disk
+const TRANSIENT_FIELDS = ['pipeline'];
+
+// Progress updates arrive many times per second; coalesce them
+const DEFERRED_WRITE_DELAY = 1000;
+
+// Rewrite the journal once it has this many superseded lines
+const COMPACT_THRESHOLD = 1000;
+
+function serialize(job) {
+  return JSON.stringify(job, (key, value) => (TRANSIENT_FIELDS.includes(key) ? undefined : value));
+}
+
+export class JobStore extends EventEmitter {
+  constructor(filePath) {
+    super();
+    // One listener per open status stream
+    this.setMaxListeners(0);
+    this.filePath = filePath;
+    this.jobs = new Map();
+    this.pendingWrites = new Map();
+    this.writeQueue = Promise.resolve();
+    this.staleLines = 0;
+  }
+
+  async load() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    let contents = '';
+    try {
+      contents = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const line of contents.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const job = JSON.parse(line);
+        this.jobs.set(job.id, job);
+      } catch {
+        // A crash mid-append can leave a truncated last line
+        console.warn('Skipping unreadable job journal line');
+      }
+    }
+
+    let interrupted = 0;
+    for (const job of this.jobs.values()) {
+      if (!TERMINAL_STATUSES.includes(job.status) && job.status !== 'queued') {
+        job.status = 'interrupted';
+        job.error = 'Server restarted while the job was in progress';
+        job.interruptedAt = new Date();
+        interrupted++;
+      }
+    }
+
+    await this.compact();
+    console.log(`Loaded ${this.jobs.size} jobs from ${this.filePath} (${interrupted} interrupted)`);
+  }
+
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  list() {
+    return Array.from(this.jobs.values());
+  }
+
+  create(job) {
+    this.jobs.set(job.id, job);
+    this.persist(job.id);
+    this.emit('change', job, job);
+    return job;
+  }
+
+  // Applies changes to a job and writes it out. Pass `{ defer: true }` for
+  // high-frequency updates such as progress, which are flushed at most once
+  // per second.
+  update(id, changes = {}, { defer = false } = {}) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    Object.assign(job, changes);
+
+    if (defer) {
+      if (!this.pendingWrites.has(id)) {
+        this.pendingWrites.set(id, setTimeout(() => this.persist(id), DEFERRED_WRITE_DELAY));
+      }
+    } else {
+      this.persist(id);
+    }
+
+    this.emit('change', job, changes);
+    return job;
+  }
+
+  cancelPending(id) {
+    clearTimeout(this.pendingWrites.get(id));
+    this.pendingWrites.delete(id);
+  }
+
+  persist(id) {
+    this.cancelPending(id);
+    const job = this.jobs.get(id);
+    if (!job) return;
+
+    const line = `${serialize(job)}\n`;
+    this.staleLines++;
+    this.enqueue(async () => {
+      await fs.appendFile(this.filePath, line);
+      if (this.staleLines > COMPACT_THRESHOLD) {
+        await this.rewrite();
+      }
+    });
+  }
+
+  // Writes go through a single queue so lines never interleave
+  enqueue(task) {
+    this.writeQueue = this.writeQueue
+      .then(task)
+      .catch(error => console.error('Job store write failed:', error));
+    return this.writeQueue;
+  }
+
+  compact() {
+    return this.enqueue(() => this.rewrite());
+  }
+
+  async rewrite() {
+    const lines = this.list().map(job => `${serialize(job)}\n`).join('');
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempPath, lines);
+    await fs.rename(tempPath, this.filePath);
+    this.staleLines = 0;
+  }
+
+  // Waits for queued and deferred writes, e.g. before shutting down
+  async flush() {
+    for (const id of Array.from(this.pendingWrites.keys())) {
+      this.persist(id);
+    }
+    await this.writeQueue;
+  }
+}
@@ -0,0 +1,139 @@
+import ffmpeg from 'fluent-ffmpeg';
+
+// Source video inspection with ffprobe, so files the pipeline cannot convert
+// are turned away before a job is created instead of failing in extractFrames.
+
+// Video codecs the bundled ffmpeg decodes and cameras commonly produce
+export const SUPPORTED_VIDEO_CODECS = [
+  'h264', 'hevc', 'mpeg4', 'mpeg2video', 'vp8', 'vp9', 'av1', 'prores', 'dnxhd', 'mjpeg'
+];
+
+export const MEDIA_LIMITS = {
+  minDimension: 64,
+  maxDimension: 8192,
+  maxFps: 240
+};
+
+// The file can be read but is not a video the pipeline can convert.
+// `problems` lists { code, message } for each check that failed.
+export class MediaValidationError extends Error {
+  constructor(problems, media = null) {
+    super(problems.map(problem => problem.message).join('; '));
+    this.name = 'MediaValidationError';
+    this.problems = problems;
+    this.media = media;
+  }
+}
+
+export function probeMedia(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (error, metadata) => {
+      if (error) reject(error);
+      else resolve(metadata);
+    });
+  });
+}
+
+// ffprobe reports frame rates as fractions such as "30000/1001"
+export function parseFrameRate(rate) {
+  if (!rate) return 0;
+  const [numerator, denominator] = rate.split('/').map(Number);
+  if (!denominator) return numerator || 0;
+  return numerator / denominator;
+}
+
+// Clockwise degrees the player turns the picture. The rotate tag is
+// clockwise; display matrix side data is counter-clockwise.
+function streamRotation(stream) {
+  const degrees = stream.tags?.rotate !== undefined ? Number(stream.tags.rotate) : -Number(stream.rotation || 0);
+  return Number.isFinite(degrees) ? ((Math.round(degrees) % 360) + 360) % 360 : 0;
+}
+
+// The parts of ffprobe's output the pipeline and clients care about
+export function describeMedia(metadata) {
+  const videoStream = metadata.streams.find(s => s.codec_type === 'video');
+  const duration = Number(metadata.format?.duration) || Number(videoStream?.duration) || 0;
+
+  let video = null;
+  if (videoStream) {
+    const frameRate = [videoStream.avg_frame_rate, videoStream.r_frame_rate]
+      .find(rate => parseFrameRate(rate) > 0) || null;
+    const fps = parseFrameRate(frameRate);
+    video = {
+      codec: videoStream.codec_name,
+      profile: videoStream.profile,
+      width: videoStream.width,
+      height: videoStream.height,
+      frameRate,
+      fps,
+      // nb_frames is not always present (e.g. MKV); fall back to an estimate
+      frameCount: Number(videoStream.nb_frames) || Math.round(duration * fps),
+      pixelFormat: videoStream.pix_fmt,
+      rotation: streamRotation(videoStream)
+    };
+  }
+
+  return {
+    container: metadata.format?.format_name,
+    duration,
+    bitRate: Number(metadata.format?.bit_rate) || null,
+    video,
+    audioTracks: metadata.streams
+      .filter(s => s.codec_type === 'audio')
+      .map(s => ({
+        codec: s.codec_name,
+        channels: s.channels,
+        sampleRate: Number(s.sample_rate) || null,
+        language: s.tags?.language
+      }))
+  };
+}
+
+// Problems that keep the pipeline from converting the file
+export function checkMedia(media) {
+  const problems = [];
+  const { video } = media;
+  const { minDimension, maxDimension, maxFps } = MEDIA_LIMITS;
+
+  if (!video) {
+    problems.push({ code: 'no_video_stream', message: 'The file has no video stream' });
+    return problems;
+  }
+  if (!SUPPORTED_VIDEO_CODECS.includes(video.codec)) {
+    problems.push({
+      code: 'unsupported_codec',
+      message: `Video codec ${video.codec} is not supported; use one of ${SUPPORTED_VIDEO_CODECS.join(', ')}`
+    });
+  }
+  if (!(media.duration > 0)) {
+    problems.push({ code: 'zero_duration', message: 'The video has no duration' });
+  }
+  if (!(video.width >= minDimension && video.height >= minDimension && video.width <= maxDimension && video.height <= maxDimension)) {
+    problems.push({
+      code: 'unsupported_resolution',
+      message: `Resolution ${video.width}x${video.height} is outside ${minDimension}-${maxDimension} pixels per side`
+    });
+  }
+  if (video.fps > maxFps) {
+    problems.push({ code: 'unsupported_frame_rate', message: `Frame rate ${video.fps.toFixed(2)} fps is above ${maxFps} fps` });
+  }
+  return problems;
+}
+
+// Probes and checks a source file. Returns its description, or throws
+// MediaValidationError when it is unreadable or unusable.
+export async function inspectMedia(filePath) {
+  let metadata;
+  try {
+    metadata = await probeMedia(filePath);
+  } catch {
+    throw new MediaValidationError([{ code: 'unreadable', message: 'The file could not be read as a video' }]);
+  }
+
+  const media = describeMedia(metadata);
+  const problems = checkMedia(media);
+  if (problems.length > 0) {
+    throw new MediaValidationError(problems, media);
+  }
+  return media;
+}
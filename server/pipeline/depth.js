@@ -0,0 +1,342 @@
+import sharp from 'sharp';
+
+// Monocular depth estimation on the CPU.
+//
+// Depth maps follow the MiDaS convention: 8-bit grayscale where white (255)
+// is nearest to the camera and black (0) is farthest away.
+//
+// Estimators are resolved by name through DEPTH_BACKENDS. Each one exposes
+// `async estimate(framePath)` returning `{ data, width, height }` at the
+// frame's resolution; create one per video and feed it frames in order.
+
+const DEFAULT_WEIGHTS = {
+  vertical: 0.35, // lower in frame = closer (ground plane)
+  focus: 0.3, // sharp, textured regions = in-focus subject
+  luminance: 0.2, // bright, washed-out regions = haze / sky
+  motion: 0.15 // moving regions = foreground
+};
+
+// Separable box blur, run three times to approximate a gaussian
+export function boxBlur(values, width, height, radius) {
+  if (radius < 1) return values;
+
+  let src = Float32Array.from(values);
+  let tmp = new Float32Array(values.length);
+  const span = radius * 2 + 1;
+
+  for (let pass = 0; pass < 3; pass++) {
+    for (let y = 0; y < height; y++) {
+      const row = y * width;
+      let sum = 0;
+      for (let i = -radius; i <= radius; i++) {
+        sum += src[row + Math.min(width - 1, Math.max(0, i))];
+      }
+      for (let x = 0; x < width; x++) {
+        tmp[row + x] = sum / span;
+        sum += src[row + Math.min(width - 1, x + radius + 1)];
+        sum -= src[row + Math.max(0, x - radius)];
+      }
+    }
+
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let i = -radius; i <= radius; i++) {
+        sum += tmp[Math.min(height - 1, Math.max(0, i)) * width + x];
+      }
+      for (let y = 0; y < height; y++) {
+        src[y * width + x] = sum / span;
+        sum += tmp[Math.min(height - 1, y + radius + 1) * width + x];
+        sum -= tmp[Math.max(0, y - radius) * width + x];
+      }
+    }
+  }
+
+  return src;
+}
+
+// Value at the given fraction of the distribution, for data in [0, 1]
+function percentile(values, fraction) {
+  const bins = 1024;
+  const histogram = new Uint32Array(bins);
+  for (let i = 0; i < values.length; i++) {
+    const v = Math.min(1, Math.max(0, values[i]));
+    histogram[Math.round(v * (bins - 1))]++;
+  }
+
+  const target = fraction * values.length;
+  let seen = 0;
+  for (let i = 0; i < bins; i++) {
+    seen += histogram[i];
+    if (seen >= target) return i / (bins - 1);
+  }
+  return 1;
+}
+
+// Stretch values to [0, 1] ignoring outliers at either end
+function normalize(values, low = 0.02, high = 0.98) {
+  let max = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] > max) max = values[i];
+  }
+  if (max === 0) return new Float32Array(values.length);
+
+  const scaled = values.map(v => v / max);
+  const lo = percentile(scaled, low);
+  const hi = percentile(scaled, high);
+  const range = hi - lo || 1;
+
+  return scaled.map(v => Math.min(1, Math.max(0, (v - lo) / range)));
+}
+
+// Heuristic depth estimator combining luminance, focus, vertical position
+// and motion cues. Keeps the previous frame around so that motion can be
+// measured and depth stays temporally stable, so use one instance per video
+// and feed it frames in order.
+export class HeuristicDepthEstimator {
+  constructor(options = {}) {
+    this.analysisWidth = options.analysisWidth || 256;
+    this.temporalSmoothing = options.temporalSmoothing ?? 0.4;
+    this.weights = { ...DEFAULT_WEIGHTS, ...options.weights };
+    this.previousLuma = null;
+    this.previousDepth = null;
+  }
+
+  reset() {
+    this.previousLuma = null;
+    this.previousDepth = null;
+  }
+
+  async estimate(framePath) {
+    const image = sharp(framePath);
+    const { width: frameWidth, height: frameHeight } = await image.metadata();
+
+    const width = Math.min(this.analysisWidth, frameWidth);
+    const height = Math.max(1, Math.round(frameHeight * (width / frameWidth)));
+
+    const { data } = await image
+      .removeAlpha()
+      .resize(width, height, { fit: 'fill' })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const size = width * height;
+    const luma = new Float32Array(size);
+    const haze = new Float32Array(size);
+
+    for (let i = 0; i < size; i++) {
+      const r = data[i * 3] / 255;
+      const g = data[i * 3 + 1] / 255;
+      const b = data[i * 3 + 2] / 255;
+      const max = Math.max(r, g, b);
+      const min = Math.min(r, g, b);
+      const saturation = max === 0 ? 0 : (max - min) / max;
+
+      luma[i] = 0.299 * r + 0.587 * g + 0.114 * b;
+      haze[i] = luma[i] * (1 - saturation);
+    }
+
+    const blurRadius = Math.max(1, Math.round(width / 48));
+
+    // Focus cue: local gradient energy, spread over a neighbourhood
+    const gradient = new Float32Array(size);
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = y * width + x;
+        const gx =
+          luma[i - width + 1] + 2 * luma[i + 1] + luma[i + width + 1] -
+          luma[i - width - 1] - 2 * luma[i - 1] - luma[i + width - 1];
+        const gy =
+          luma[i + width - 1] + 2 * luma[i + width] + luma[i + width + 1] -
+          luma[i - width - 1] - 2 * luma[i - width] - luma[i - width + 1];
+        gradient[i] = Math.sqrt(gx * gx + gy * gy);
+      }
+    }
+    const focus = normalize(boxBlur(gradient, width, height, blurRadius * 2));
+
+    // Luminance cue: hazy, bright, desaturated areas read as far away
+    const luminance = normalize(boxBlur(haze, width, height, blurRadius)).map(v => 1 - v);
+
+    // Motion cue: frame difference against the previous frame
+    let motion = null;
+    if (this.previousLuma && this.previousLuma.length === size) {
+      const difference = new Float32Array(size);
+      for (let i = 0; i < size; i++) {
+        difference[i] = Math.abs(luma[i] - this.previousLuma[i]);
+      }
+      motion = normalize(boxBlur(difference, width, height, blurRadius * 2));
+    }
+    this.previousLuma = luma;
+
+    // Without a previous frame the motion weight is shared among the others
+    const weights = { ...this.weights };
+    if (!motion) weights.motion = 0;
+    const totalWeight = weights.vertical + weights.focus + weights.luminance + weights.motion || 1;
+
+    const combined = new Float32Array(size);
+    for (let y = 0; y < height; y++) {
+      const vertical = height > 1 ? y / (height - 1) : 0.5;
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        combined[i] = (
+          weights.vertical * vertical +
+          weights.focus * focus[i] +
+          weights.luminance * luminance[i] +
+          (motion ? weights.motion * motion[i] : 0)
+        ) / totalWeight;
+      }
+    }
+
+    let depth = normalize(boxBlur(combined, width, height, blurRadius));
+
+    // Blend with the previous depth map to avoid flicker between frames
+    if (this.previousDepth && this.previousDepth.length === size && this.temporalSmoothing > 0) {
+      const keep = this.temporalSmoothing;
+      depth = depth.map((v, i) => v * (1 - keep) + this.previousDepth[i] * keep);
+    }
+    this.previousDepth = depth;
+
+    const pixels = Buffer.alloc(size);
+    for (let i = 0; i < size; i++) {
+      pixels[i] = Math.round(depth[i] * 255);
+    }
+
+    // Bring the map back to the frame's resolution
+    const resized = await sharp(pixels, { raw: { width, height, channels: 1 } })
+      .resize(frameWidth, frameHeight, { fit: 'fill', kernel: 'cubic' })
+      .raw()
+      .toBuffer();
+
+    return { data: resized, width: frameWidth, height: frameHeight };
+  }
+}
+
+// Same depth everywhere; handy for checking the rest of the pipeline in
+// isolation (a flat map yields zero parallax across the whole frame)
+export class ConstantDepthEstimator {
+  constructor(options = {}) {
+    this.value = Math.round(Math.min(1, Math.max(0, options.value ?? 0.5)) * 255);
+  }
+
+  async estimate(framePath) {
+    const { width, height } = await sharp(framePath).metadata();
+    return { data: Buffer.alloc(width * height, this.value), width, height };
+  }
+}
+
+// ImageNet statistics used to train MiDaS-family models
+const IMAGENET_MEAN = [0.485, 0.456, 0.406];
+const IMAGENET_STD = [0.229, 0.224, 0.225];
+
+// Runs a MiDaS-style ONNX model (RGB NCHW input, relative inverse depth
+// output) with onnxruntime-node. The runtime is loaded on first use so the
+// server does not need it unless this backend is selected.
+export class OnnxDepthEstimator {
+  constructor(options = {}) {
+    if (!options.modelPath) {
+      throw new Error('The onnx depth backend needs a model file (depthModelPath or DEPTH_MODEL_PATH)');
+    }
+    this.modelPath = options.modelPath;
+    this.inputSize = options.inputSize || 256;
+    this.session = null;
+    this.ort = null;
+  }
+
+  async load() {
+    if (this.session) return;
+
+    try {
+      this.ort = await import('onnxruntime-node');
+    } catch (error) {
+      throw new Error(`onnxruntime-node is not installed: ${error.message}`);
+    }
+
+    this.session = await this.ort.InferenceSession.create(this.modelPath, {
+      executionProviders: ['cpu']
+    });
+    console.log(`Loaded depth model ${this.modelPath} (inputs: ${this.session.inputNames.join(', ')})`);
+  }
+
+  async estimate(framePath) {
+    await this.load();
+
+    const image = sharp(framePath);
+    const { width: frameWidth, height: frameHeight } = await image.metadata();
+    const size = this.inputSize;
+
+    const pixels = await image
+      .removeAlpha()
+      .resize(size, size, { fit: 'fill', kernel: 'cubic' })
+      .raw()
+      .toBuffer();
+
+    // Interleaved RGB bytes to normalised planar floats
+    const input = new Float32Array(3 * size * size);
+    for (let i = 0; i < size * size; i++) {
+      for (let c = 0; c < 3; c++) {
+        input[c * size * size + i] = (pixels[i * 3 + c] / 255 - IMAGENET_MEAN[c]) / IMAGENET_STD[c];
+      }
+    }
+
+    const feeds = {
+      [this.session.inputNames[0]]: new this.ort.Tensor('float32', input, [1, 3, size, size])
+    };
+    const results = await this.session.run(feeds);
+    const output = results[this.session.outputNames[0]];
+
+    // Output is [1, H, W] or [1, 1, H, W]
+    const dims = output.dims;
+    const outHeight = dims[dims.length - 2];
+    const outWidth = dims[dims.length - 1];
+    const values = output.data;
+
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < values.length; i++) {
+      if (values[i] < min) min = values[i];
+      if (values[i] > max) max = values[i];
+    }
+    const range = max - min || 1;
+
+    // Inverse depth is already "bigger = nearer", matching our convention
+    const depth = Buffer.alloc(outWidth * outHeight);
+    for (let i = 0; i < depth.length; i++) {
+      depth[i] = Math.round(((values[i] - min) / range) * 255);
+    }
+
+    const resized = await sharp(depth, { raw: { width: outWidth, height: outHeight, channels: 1 } })
+      .resize(frameWidth, frameHeight, { fit: 'fill', kernel: 'cubic' })
+      .raw()
+      .toBuffer();
+
+    return { data: resized, width: frameWidth, height: frameHeight };
+  }
+}
+
+export const DEPTH_BACKENDS = {
+  heuristic: options => new HeuristicDepthEstimator(options),
+  constant: options => new ConstantDepthEstimator(options),
+  onnx: options => new OnnxDepthEstimator(options)
+};
+
+export function createDepthEstimator(backend, options = {}) {
+  const factory = DEPTH_BACKENDS[backend];
+  if (!factory) {
+    throw new Error(`Unknown depth backend: ${backend} (available: ${Object.keys(DEPTH_BACKENDS).join(', ')})`);
+  }
+  return factory(options);
+}
+
+export async function writeDepthMap(depth, outputPath) {
+  await sharp(depth.data, { raw: { width: depth.width, height: depth.height, channels: 1 } })
+    .png()
+    .toFile(outputPath);
+}
+
+export async function readDepthMap(depthPath) {
+  const { data, info } = await sharp(depthPath)
+    .extractChannel(0)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return { data, width: info.width, height: info.height };
+}
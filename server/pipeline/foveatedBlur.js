@@ -0,0 +1,45 @@
+import sharp from 'sharp';
+
+// Radial "foveated" blur: the centre of the view stays sharp and the image
+// softens towards the periphery, where detail is not needed and where
+// stereo and projection artefacts are most visible.
+//
+// `radius` and `feather` are fractions of the distance from the centre to
+// the edge of the frame: pixels inside `radius` are untouched and the blur
+// ramps up over the next `feather`. `strength` (0-1) scales the blur.
+
+function smoothstep(edge0, edge1, x) {
+  if (edge1 <= edge0) return x < edge0 ? 0 : 1;
+  const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+}
+
+export async function foveatedBlur(frame, { radius, feather, strength }) {
+  const { width, height, channels, data } = frame;
+  if (strength <= 0) return frame;
+
+  const sigma = Math.max(0.3, (strength * Math.max(width, height)) / 100);
+  const blurred = await sharp(data, { raw: { width, height, channels } })
+    .blur(sigma)
+    .raw()
+    .toBuffer();
+
+  const output = Buffer.alloc(data.length);
+  const cx = (width - 1) / 2;
+  const cy = (height - 1) / 2;
+  const halfExtent = Math.min(width, height) / 2;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const distance = Math.hypot(x - cx, y - cy) / halfExtent;
+      const weight = smoothstep(radius, radius + feather, distance);
+      const i = (y * width + x) * channels;
+
+      for (let c = 0; c < channels; c++) {
+        output[i + c] = Math.round(data[i + c] * (1 - weight) + blurred[i + c] * weight);
+      }
+    }
+  }
+
+  return { data: output, width, height, channels };
+}
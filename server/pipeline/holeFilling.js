@@ -0,0 +1,123 @@
+// Disocclusion hole filling for DIBR-rendered views.
+//
+// Holes open up where a foreground object has shifted away from the
+// background behind it. In the left eye near pixels move right, so the
+// background lies on the left of each hole; in the right eye it lies on the
+// right. Holes are filled by propagating that background side across the
+// gap and then smoothing the filled pixels vertically to break up streaks.
+
+const VERTICAL_SMOOTHING_PASSES = 3;
+
+export function fillHoles(view, eye) {
+  const { width, height, data } = view;
+  const size = width * height;
+
+  const output = Buffer.alloc(size * 3);
+  const mask = Buffer.alloc(size);
+  const filled = new Uint8Array(size);
+
+  for (let i = 0; i < size; i++) {
+    output[i * 3] = data[i * 4];
+    output[i * 3 + 1] = data[i * 4 + 1];
+    output[i * 3 + 2] = data[i * 4 + 2];
+  }
+
+  const isHole = i => data[i * 4 + 3] === 0;
+
+  // Average of the valid pixels in the column around (x, y), so a single
+  // propagated colour does not turn into a hard horizontal line
+  const sampleBackground = (x, y, channel) => {
+    let sum = 0;
+    let count = 0;
+    for (let dy = -1; dy <= 1; dy++) {
+      const yy = y + dy;
+      if (yy < 0 || yy >= height) continue;
+      const i = yy * width + x;
+      if (isHole(i)) continue;
+      sum += data[i * 4 + channel];
+      count++;
+    }
+    return count ? sum / count : data[(y * width + x) * 4 + channel];
+  };
+
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    let x = 0;
+
+    while (x < width) {
+      if (!isHole(row + x)) {
+        x++;
+        continue;
+      }
+
+      const start = x;
+      while (x < width && isHole(row + x)) x++;
+      const end = x - 1;
+
+      const left = start > 0 ? start - 1 : -1;
+      const right = end < width - 1 ? end + 1 : -1;
+      let source = eye === 'left' ? left : right;
+      if (source === -1) source = eye === 'left' ? right : left;
+
+      // Whole row empty: leave it for the vertical pass
+      if (source === -1) continue;
+
+      const color = [0, 1, 2].map(c => sampleBackground(source, y, c));
+      for (let hx = start; hx <= end; hx++) {
+        const i = row + hx;
+        output[i * 3] = color[0];
+        output[i * 3 + 1] = color[1];
+        output[i * 3 + 2] = color[2];
+        filled[i] = 1;
+        mask[i] = 255;
+      }
+    }
+  }
+
+  // Rows that were entirely empty take the nearest filled row above or below
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    if (filled[row] || !isHole(row)) continue;
+
+    let rowIsEmpty = true;
+    for (let x = 0; x < width && rowIsEmpty; x++) {
+      if (!isHole(row + x)) rowIsEmpty = false;
+    }
+    if (!rowIsEmpty) continue;
+
+    for (let distance = 1; distance < height; distance++) {
+      const candidate = [y - distance, y + distance].find(yy =>
+        yy >= 0 && yy < height && (filled[yy * width] || !isHole(yy * width))
+      );
+      if (candidate === undefined) continue;
+
+      output.copy(output, row * 3, candidate * width * 3, (candidate + 1) * width * 3);
+      filled.fill(1, row, row + width);
+      mask.fill(255, row, row + width);
+      break;
+    }
+  }
+
+  // Smooth only the filled pixels with a vertical [1 2 1] kernel
+  for (let pass = 0; pass < VERTICAL_SMOOTHING_PASSES; pass++) {
+    const previous = Buffer.from(output);
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        if (!filled[i]) continue;
+        for (let c = 0; c < 3; c++) {
+          output[i * 3 + c] = (
+            previous[(i - width) * 3 + c] +
+            2 * previous[i * 3 + c] +
+            previous[(i + width) * 3 + c]
+          ) / 4;
+        }
+      }
+    }
+  }
+
+  return {
+    frame: { data: output, width, height, channels: 3 },
+    mask: { data: mask, width, height, channels: 1 }
+  };
+}
@@ -0,0 +1,148 @@
+import { DEPTH_BACKENDS } from './depth.js';
+import { FILL_MODES, LENS_PRESETS } from './projection.js';
+import { RESOLUTION_PRESETS, UPSCALE_ALGORITHMS } from './upscaling.js';
+import { STREAMING_FORMATS } from './streaming.js';
+
+// Conversion options: defaults, and the schema per-job options from
+// clients are validated against.
+
+export const OUTPUT_LAYOUTS = ['sbs', 'tb'];
+
+// Encoder settings per codec; crf applies when no bitrate is given
+export const VIDEO_CODECS = {
+  h264: { encoder: 'libx264', crf: 18, tag: null },
+  h265: { encoder: 'libx265', crf: 20, tag: 'hvc1' } // hvc1 so Apple players accept it
+};
+
+// Defaults for tunable pipeline parameters
+export const DEFAULT_PIPELINE_OPTIONS = {
+  depthBackend: process.env.DEPTH_BACKEND || 'heuristic', // 'heuristic', 'constant' or 'onnx'
+  depthModelPath: process.env.DEPTH_MODEL_PATH || null, // MiDaS-style .onnx file for the onnx backend
+  depthModelInputSize: Number(process.env.DEPTH_MODEL_INPUT_SIZE) || 256,
+  stereoBaseline: 0.03, // max disparity between eyes, as a fraction of frame width
+  zeroParallaxDepth: 0.5, // depth (0 = far, 1 = near) that sits on the screen plane
+  sourceFov: null, // horizontal FOV of the camera in degrees; overrides lensPreset
+  lensPreset: 'smartphone-main',
+  projectionFill: 'blur', // 'black', 'blur' or 'mirror' outside the source image
+  blurRadius: 0.6, // sharp central area, as a fraction of the distance to the edge
+  blurFeather: 0.3, // width of the ramp from sharp to fully blurred
+  blurStrength: 0.5, // 0 disables the blur, 1 is the strongest
+  eyeResolution: '4k', // preset name or square per-eye size in pixels
+  upscaleAlgorithm: 'lanczos3',
+  upscaleDenoise: true,
+  upscaleSharpen: true,
+  outputLayout: 'sbs', // 'sbs' (side-by-side) or 'tb' (top-bottom)
+  videoCodec: 'h264',
+  videoBitrate: null, // e.g. '40M'; null encodes at constant quality instead
+  streamingFormat: process.env.STREAMING_FORMAT || 'none', // 'none', 'hls', 'dash' or 'both'
+  chunkFrames: 48 // frames processed (and kept on disk) at a time
+};
+
+// The onnx backend cannot run without a model, so it is only offered once
+// DEPTH_MODEL_PATH is set
+const AVAILABLE_DEPTH_BACKENDS = Object.keys(DEPTH_BACKENDS)
+  .filter(name => name !== 'onnx' || DEFAULT_PIPELINE_OPTIONS.depthModelPath);
+
+// Options clients may set. Server-side settings such as the depth model
+// path are deliberately missing.
+export const PIPELINE_OPTION_SCHEMA = {
+  outputLayout: { type: 'enum', values: OUTPUT_LAYOUTS, description: 'sbs (side-by-side) or tb (top-bottom)' },
+  eyeResolution: {
+    type: 'resolution',
+    values: Object.keys(RESOLUTION_PRESETS),
+    min: 256,
+    max: 4096,
+    description: 'Per-eye resolution: a preset name or an even number of pixels'
+  },
+  stereoBaseline: { type: 'number', min: 0, max: 0.1, description: 'Maximum disparity as a fraction of frame width' },
+  zeroParallaxDepth: { type: 'number', min: 0, max: 1, description: 'Convergence: depth that sits on the screen plane (0 = far, 1 = near)' },
+  sourceFov: { type: 'number', min: 10, max: 179, nullable: true, description: 'Horizontal FOV of the source camera in degrees' },
+  lensPreset: { type: 'enum', values: Object.keys(LENS_PRESETS), description: 'Camera lens, used when sourceFov is not set' },
+  projectionFill: { type: 'enum', values: FILL_MODES, description: 'How the area outside the source image is filled' },
+  blurRadius: { type: 'number', min: 0, max: 1, description: 'Sharp central area as a fraction of the distance to the edge' },
+  blurFeather: { type: 'number', min: 0, max: 1, description: 'Width of the transition to full blur' },
+  blurStrength: { type: 'number', min: 0, max: 1, description: 'Peripheral blur strength (0 disables it)' },
+  upscaleAlgorithm: { type: 'enum', values: UPSCALE_ALGORITHMS, description: 'Resampling kernel' },
+  upscaleDenoise: { type: 'boolean', description: 'Denoise before upscaling' },
+  upscaleSharpen: { type: 'boolean', description: 'Sharpen after upscaling' },
+  depthBackend: { type: 'enum', values: AVAILABLE_DEPTH_BACKENDS, description: 'Depth estimation backend' },
+  videoCodec: { type: 'enum', values: Object.keys(VIDEO_CODECS), description: 'Output video codec' },
+  videoBitrate: {
+    type: 'bitrate',
+    nullable: true,
+    description: 'Target video bitrate such as "40M" or "8000k"; constant quality when unset'
+  },
+  streamingFormat: {
+    type: 'enum',
+    values: STREAMING_FORMATS,
+    description: 'Adaptive streaming package made alongside the MP4: none, hls, dash or both'
+  },
+  chunkFrames: { type: 'integer', min: 1, max: 600, description: 'Frames processed per chunk' }
+};
+
+const BITRATE_PATTERN = /^\d+(\.\d+)?[kM]$/;
+
+function checkOption(name, value, rule) {
+  if (value === null) {
+    return rule.nullable ? null : `${name} cannot be null`;
+  }
+
+  switch (rule.type) {
+    case 'enum':
+      return rule.values.includes(value) ? null : `${name} must be one of: ${rule.values.join(', ')}`;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${name} must be true or false`;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a number`;
+      if (rule.type === 'integer' && !Number.isInteger(value)) return `${name} must be a whole number`;
+      if (value < rule.min || value > rule.max) return `${name} must be between ${rule.min} and ${rule.max}`;
+      return null;
+    case 'resolution':
+      if (typeof value === 'string') {
+        return rule.values.includes(value) ? null : `${name} must be one of ${rule.values.join(', ')} or a number of pixels`;
+      }
+      if (!Number.isInteger(value) || value % 2 !== 0 || value < rule.min || value > rule.max) {
+        return `${name} must be an even number of pixels between ${rule.min} and ${rule.max}`;
+      }
+      return null;
+    case 'bitrate':
+      return typeof value === 'string' && BITRATE_PATTERN.test(value)
+        ? null
+        : `${name} must look like "40M" or "8000k"`;
+    default:
+      return `${name} has an unsupported type`;
+  }
+}
+
+// Returns { options, errors }. errors lists { option, message } for each
+// problem; options holds the valid values only.
+export function validatePipelineOptions(input) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { options: {}, errors: [{ option: null, message: 'options must be a JSON object' }] };
+  }
+
+  const options = {};
+  const errors = [];
+
+  for (const [name, value] of Object.entries(input)) {
+    const rule = PIPELINE_OPTION_SCHEMA[name];
+    if (!rule) {
+      errors.push({ option: name, message: `Unknown option: ${name}` });
+      continue;
+    }
+
+    const message = checkOption(name, value, rule);
+    if (message) errors.push({ option: name, message });
+    else options[name] = value;
+  }
+
+  return { options, errors };
+}
+
+// The user-settable part of the defaults, for clients building forms
+export function describePipelineOptions() {
+  return Object.fromEntries(
+    Object.entries(PIPELINE_OPTION_SCHEMA).map(([name, rule]) => [name, { ...rule, default: DEFAULT_PIPELINE_OPTIONS[name] }])
+  );
+}
@@ -0,0 +1,140 @@
+import sharp from 'sharp';
+
+// Reprojects rectilinear (pinhole) frames into the 180°x180°
+// half-equirectangular layout used by VR180: longitude runs from -90° at the
+// left edge to +90° at the right edge, latitude from +90° at the top to -90°
+// at the bottom, and the source image sits in the middle.
+
+// Horizontal field of view in degrees for common cameras
+export const LENS_PRESETS = {
+  'smartphone-main': 69,
+  'smartphone-ultrawide': 108,
+  'action-cam-linear': 86,
+  'full-frame-24mm': 73.7,
+  'full-frame-35mm': 54.4,
+  'full-frame-50mm': 39.6
+};
+
+// What to show where the 180° view extends past the source image
+export const FILL_MODES = ['black', 'blur', 'mirror'];
+
+export function resolveSourceFov({ sourceFov, lensPreset }) {
+  if (sourceFov) {
+    if (sourceFov <= 0 || sourceFov >= 180) {
+      throw new Error(`Source FOV must be between 0 and 180 degrees, got ${sourceFov}`);
+    }
+    return sourceFov;
+  }
+
+  if (!(lensPreset in LENS_PRESETS)) {
+    throw new Error(`Unknown lens preset: ${lensPreset}`);
+  }
+  return LENS_PRESETS[lensPreset];
+}
+
+// Precomputes, for every output pixel, where it lands in the source image.
+// Coordinates may fall outside the source; the fill mode decides what to do
+// with those when the map is applied.
+export function createProjectionMap(sourceWidth, sourceHeight, sourceFov, maxSize) {
+  const focal = (sourceWidth / 2) / Math.tan((sourceFov * Math.PI) / 360);
+
+  // Keep the source's pixel density at the centre of the view, up to the
+  // output size. Anything bigger would only be scaled down again; anything
+  // smaller is enlarged later by the upscaler with its own kernel.
+  const size = Math.min(Math.round((focal * Math.PI) / 2) * 2, maxSize);
+
+  const coords = new Float32Array(size * size * 2);
+  const inside = new Uint8Array(size * size);
+  const cx = (sourceWidth - 1) / 2;
+  const cy = (sourceHeight - 1) / 2;
+
+  for (let v = 0; v < size; v++) {
+    const latitude = (0.5 - (v + 0.5) / size) * Math.PI;
+    for (let u = 0; u < size; u++) {
+      const longitude = ((u + 0.5) / size - 0.5) * Math.PI;
+
+      const x = Math.cos(latitude) * Math.sin(longitude);
+      const y = Math.sin(latitude);
+      const z = Math.max(Math.cos(latitude) * Math.cos(longitude), 1e-6);
+
+      const sx = cx + (focal * x) / z;
+      const sy = cy - (focal * y) / z;
+      const i = v * size + u;
+
+      coords[i * 2] = sx;
+      coords[i * 2 + 1] = sy;
+      inside[i] = sx >= 0 && sx <= sourceWidth - 1 && sy >= 0 && sy <= sourceHeight - 1 ? 1 : 0;
+    }
+  }
+
+  return { size, coords, inside, sourceWidth, sourceHeight, sourceFov };
+}
+
+function clamp(value, max) {
+  return Math.min(max, Math.max(0, value));
+}
+
+// Mirror once across the nearest edge; anything further out than a full
+// image width sticks to the far edge instead of tiling
+function reflect(value, max) {
+  if (value < 0) return clamp(-value, max);
+  if (value > max) return clamp(2 * max - value, max);
+  return value;
+}
+
+function sampleBilinear(frame, x, y, output, offset) {
+  const { data, width, height, channels } = frame;
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = Math.min(x0 + 1, width - 1);
+  const y1 = Math.min(y0 + 1, height - 1);
+  const fx = x - x0;
+  const fy = y - y0;
+
+  for (let c = 0; c < 3; c++) {
+    const top = data[(y0 * width + x0) * channels + c] * (1 - fx) + data[(y0 * width + x1) * channels + c] * fx;
+    const bottom = data[(y1 * width + x0) * channels + c] * (1 - fx) + data[(y1 * width + x1) * channels + c] * fx;
+    output[offset + c] = Math.round(top * (1 - fy) + bottom * fy);
+  }
+}
+
+export async function projectFrame(frame, map, fill = 'black') {
+  if (!FILL_MODES.includes(fill)) {
+    throw new Error(`Unknown projection fill mode: ${fill}`);
+  }
+  if (frame.width !== map.sourceWidth || frame.height !== map.sourceHeight) {
+    throw new Error(`Projection map expects ${map.sourceWidth}x${map.sourceHeight}, got ${frame.width}x${frame.height}`);
+  }
+
+  // Heavily blurred copy of the frame, stretched outwards from the edges
+  let blurred = null;
+  if (fill === 'blur') {
+    const sigma = Math.max(frame.width, frame.height) / 40;
+    const data = await sharp(frame.data, { raw: { width: frame.width, height: frame.height, channels: frame.channels } })
+      .blur(sigma)
+      .raw()
+      .toBuffer();
+    blurred = { ...frame, data };
+  }
+
+  const maxX = frame.width - 1;
+  const maxY = frame.height - 1;
+  const { size, coords, inside } = map;
+  const output = Buffer.alloc(size * size * 3);
+
+  for (let i = 0; i < size * size; i++) {
+    const sx = coords[i * 2];
+    const sy = coords[i * 2 + 1];
+
+    if (inside[i]) {
+      sampleBilinear(frame, sx, sy, output, i * 3);
+    } else if (fill === 'mirror') {
+      sampleBilinear(frame, reflect(sx, maxX), reflect(sy, maxY), output, i * 3);
+    } else if (fill === 'blur') {
+      sampleBilinear(blurred, clamp(sx, maxX), clamp(sy, maxY), output, i * 3);
+    }
+    // 'black' leaves the pixel at zero
+  }
+
+  return { data: output, width: size, height: size, channels: 3 };
+}
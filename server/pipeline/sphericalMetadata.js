@@ -0,0 +1,344 @@
+import fs from 'fs/promises';
+
+// Spherical Video V2 metadata for MP4 files, written and read without any
+// external tools. Players such as YouTube and headset galleries only treat a
+// file as VR180 when the video sample entry carries:
+//
+//   st3d                 stereo layout (mono, top-bottom, left-right)
+//   sv3d
+//     svhd               who wrote the metadata
+//     proj
+//       prhd             initial yaw/pitch/roll
+//       equi             equirectangular projection, cropped to 180°
+//
+// See https://github.com/google/spatial-media/blob/master/docs/spherical-video-v2-rfc.md
+
+export const STEREO_MODES = {
+  mono: 0,
+  'top-bottom': 1,
+  'left-right': 2
+};
+
+const METADATA_SOURCE = 'Palace VR180 Platform';
+
+// Boxes whose payload is made only of other boxes
+const CONTAINER_BOXES = ['moov', 'trak', 'mdia', 'minf', 'stbl'];
+
+// Sample entries of video codecs we can produce
+const VIDEO_SAMPLE_ENTRIES = ['avc1', 'avc3', 'hvc1', 'hev1', 'vp09', 'av01'];
+
+// Bytes between the start of a box and its first child
+const STSD_HEADER = 16; // header + version/flags + entry_count
+const VISUAL_SAMPLE_ENTRY_HEADER = 86;
+
+function* iterateBoxes(buffer, start, end) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+
+    if (size < headerSize || offset + size > end) {
+      throw new Error(`Malformed MP4 box '${type}' at offset ${offset}`);
+    }
+
+    yield { type, start: offset, headerSize, size, end: offset + size };
+    offset += size;
+  }
+}
+
+function findChild(buffer, parent, type, childOffset = parent.headerSize) {
+  for (const box of iterateBoxes(buffer, parent.start + childOffset, parent.end)) {
+    if (box.type === type) return box;
+  }
+  return null;
+}
+
+function fullBox(type, payload) {
+  const box = Buffer.alloc(12 + payload.length);
+  box.writeUInt32BE(box.length, 0);
+  box.write(type, 4, 'latin1');
+  // version 0, flags 0
+  payload.copy(box, 12);
+  return box;
+}
+
+function box(type, children) {
+  const payload = Buffer.concat(children);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + payload.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, payload]);
+}
+
+export function buildSphericalBoxes(stereoMode, horizontalFov = 180, verticalFov = 180) {
+  if (!(stereoMode in STEREO_MODES)) {
+    throw new Error(`Unknown stereo mode: ${stereoMode}`);
+  }
+
+  const st3d = fullBox('st3d', Buffer.from([STEREO_MODES[stereoMode]]));
+
+  const svhd = fullBox('svhd', Buffer.from(`${METADATA_SOURCE}\0`, 'utf8'));
+  const prhd = fullBox('prhd', Buffer.alloc(12)); // yaw, pitch, roll all zero
+
+  // Bounds are 0.32 fixed point fractions of the full 360°x180° sphere that
+  // are cropped away on each side
+  const bounds = Buffer.alloc(16);
+  const cropX = Math.round(((360 - horizontalFov) / 360 / 2) * 2 ** 32);
+  const cropY = Math.round(((180 - verticalFov) / 180 / 2) * 2 ** 32);
+  bounds.writeUInt32BE(Math.min(cropY, 0xffffffff), 0); // top
+  bounds.writeUInt32BE(Math.min(cropY, 0xffffffff), 4); // bottom
+  bounds.writeUInt32BE(Math.min(cropX, 0xffffffff), 8); // left
+  bounds.writeUInt32BE(Math.min(cropX, 0xffffffff), 12); // right
+  const equi = fullBox('equi', bounds);
+
+  const sv3d = box('sv3d', [svhd, box('proj', [prhd, equi])]);
+
+  return Buffer.concat([st3d, sv3d]);
+}
+
+// Walks moov down to the sample entry of the first video track. Returns the
+// chain of boxes from moov to the sample entry so that sizes can be patched.
+function findVideoSampleEntry(moov) {
+  const root = { type: 'moov', start: 0, headerSize: 8, size: moov.length, end: moov.length };
+  if (moov.readUInt32BE(0) === 1) root.headerSize = 16;
+
+  for (const trak of iterateBoxes(moov, root.headerSize, moov.length)) {
+    if (trak.type !== 'trak') continue;
+
+    const mdia = findChild(moov, trak, 'mdia');
+    const hdlr = mdia && findChild(moov, mdia, 'hdlr');
+    if (!hdlr) continue;
+
+    // hdlr: header, version/flags, pre_defined, then handler_type
+    const handlerType = moov.toString('latin1', hdlr.start + hdlr.headerSize + 8, hdlr.start + hdlr.headerSize + 12);
+    if (handlerType !== 'vide') continue;
+
+    const minf = findChild(moov, mdia, 'minf');
+    const stbl = minf && findChild(moov, minf, 'stbl');
+    const stsd = stbl && findChild(moov, stbl, 'stsd');
+    if (!stsd) continue;
+
+    for (const entry of iterateBoxes(moov, stsd.start + STSD_HEADER, stsd.end)) {
+      if (VIDEO_SAMPLE_ENTRIES.includes(entry.type)) {
+        return { chain: [root, trak, mdia, minf, stbl, stsd], entry };
+      }
+    }
+  }
+
+  return null;
+}
+
+function adjustBoxSize(buffer, boxInfo, delta) {
+  if (boxInfo.headerSize === 16) {
+    buffer.writeBigUInt64BE(BigInt(boxInfo.size + delta), boxInfo.start + 8);
+  } else {
+    buffer.writeUInt32BE(boxInfo.size + delta, boxInfo.start);
+  }
+}
+
+// Chunk offsets are absolute file positions; when moov sits in front of the
+// media data, growing it pushes every chunk back by the same amount
+function shiftChunkOffsets(moov, delta) {
+  const visit = (start, end) => {
+    for (const child of iterateBoxes(moov, start, end)) {
+      if (CONTAINER_BOXES.includes(child.type)) {
+        visit(child.start + child.headerSize, child.end);
+      } else if (child.type === 'stco' || child.type === 'co64') {
+        const countOffset = child.start + child.headerSize + 4;
+        const count = moov.readUInt32BE(countOffset);
+
+        for (let i = 0; i < count; i++) {
+          if (child.type === 'stco') {
+            const position = countOffset + 4 + i * 4;
+            const value = moov.readUInt32BE(position) + delta;
+            if (value > 0xffffffff) {
+              throw new Error('Chunk offset overflow while inserting spherical metadata');
+            }
+            moov.writeUInt32BE(value, position);
+          } else {
+            const position = countOffset + 4 + i * 8;
+            moov.writeBigUInt64BE(moov.readBigUInt64BE(position) + BigInt(delta), position);
+          }
+        }
+      }
+    }
+  };
+
+  const headerSize = moov.readUInt32BE(0) === 1 ? 16 : 8;
+  visit(headerSize, moov.length);
+}
+
+async function readTopLevelBoxes(handle) {
+  const { size: fileSize } = await handle.stat();
+  const header = Buffer.alloc(16);
+  const boxes = [];
+  let offset = 0;
+
+  while (offset + 8 <= fileSize) {
+    await handle.read(header, 0, 16, offset);
+    let size = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = fileSize - offset;
+    }
+
+    if (size < headerSize) {
+      throw new Error(`Malformed MP4 box '${type}' at offset ${offset}`);
+    }
+
+    boxes.push({ type, start: offset, headerSize, size, end: offset + size });
+    offset += size;
+  }
+
+  return { boxes, fileSize };
+}
+
+async function readMoov(handle) {
+  const { boxes, fileSize } = await readTopLevelBoxes(handle);
+  const moovBox = boxes.find(b => b.type === 'moov');
+  if (!moovBox) {
+    throw new Error('MP4 file has no moov box');
+  }
+
+  const moov = Buffer.alloc(moovBox.size);
+  await handle.read(moov, 0, moovBox.size, moovBox.start);
+  return { moov, moovBox, boxes, fileSize };
+}
+
+async function copyRange(source, target, start, end, targetOffset) {
+  const chunk = Buffer.alloc(4 * 1024 * 1024);
+  let position = start;
+  let written = targetOffset;
+
+  while (position < end) {
+    const length = Math.min(chunk.length, end - position);
+    const { bytesRead } = await source.read(chunk, 0, length, position);
+    if (bytesRead === 0) break;
+    await target.write(chunk, 0, bytesRead, written);
+    position += bytesRead;
+    written += bytesRead;
+  }
+
+  return written;
+}
+
+export async function injectSphericalMetadata(filePath, { stereoMode, horizontalFov = 180, verticalFov = 180 }) {
+  const source = await fs.open(filePath, 'r');
+  const tempPath = `${filePath}.spherical`;
+  let target = null;
+
+  try {
+    const { moov, moovBox, boxes, fileSize } = await readMoov(source);
+    const found = findVideoSampleEntry(moov);
+    if (!found) {
+      throw new Error('MP4 file has no video track to tag');
+    }
+
+    const { chain, entry } = found;
+
+    // Rebuild the sample entry without any previous spherical boxes
+    const keptChildren = [];
+    for (const child of iterateBoxes(moov, entry.start + VISUAL_SAMPLE_ENTRY_HEADER, entry.end)) {
+      if (child.type !== 'st3d' && child.type !== 'sv3d') {
+        keptChildren.push(moov.subarray(child.start, child.end));
+      }
+    }
+
+    const newEntry = Buffer.concat([
+      moov.subarray(entry.start, entry.start + VISUAL_SAMPLE_ENTRY_HEADER),
+      ...keptChildren,
+      buildSphericalBoxes(stereoMode, horizontalFov, verticalFov)
+    ]);
+    const delta = newEntry.length - entry.size;
+    newEntry.writeUInt32BE(newEntry.length, 0);
+
+    for (const ancestor of chain) {
+      adjustBoxSize(moov, ancestor, delta);
+    }
+
+    const newMoov = Buffer.concat([
+      moov.subarray(0, entry.start),
+      newEntry,
+      moov.subarray(entry.end)
+    ]);
+
+    const mediaAfterMoov = boxes.some(b => b.type === 'mdat' && b.start > moovBox.start);
+    if (mediaAfterMoov && delta !== 0) {
+      shiftChunkOffsets(newMoov, delta);
+    }
+
+    target = await fs.open(tempPath, 'w');
+    let written = await copyRange(source, target, 0, moovBox.start, 0);
+    await target.write(newMoov, 0, newMoov.length, written);
+    written += newMoov.length;
+    await copyRange(source, target, moovBox.end, fileSize, written);
+
+    await target.close();
+    target = null;
+    await source.close();
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    if (target) await target.close();
+    await source.close().catch(() => {});
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+// Parses the spherical boxes back out of a file. Returns null when the video
+// track carries no spherical metadata.
+export async function readSphericalMetadata(filePath) {
+  const handle = await fs.open(filePath, 'r');
+
+  try {
+    const { moov } = await readMoov(handle);
+    const found = findVideoSampleEntry(moov);
+    if (!found) return null;
+
+    const { entry } = found;
+    const st3d = findChild(moov, entry, 'st3d', VISUAL_SAMPLE_ENTRY_HEADER);
+    const sv3d = findChild(moov, entry, 'sv3d', VISUAL_SAMPLE_ENTRY_HEADER);
+    if (!st3d || !sv3d) return null;
+
+    const modeValue = moov.readUInt8(st3d.start + 12);
+    const stereoMode = Object.keys(STEREO_MODES).find(key => STEREO_MODES[key] === modeValue);
+
+    const svhd = findChild(moov, sv3d, 'svhd');
+    const metadataSource = svhd
+      ? moov.toString('utf8', svhd.start + 12, svhd.end).replace(/\0.*$/, '')
+      : null;
+
+    const proj = findChild(moov, sv3d, 'proj');
+    const equi = proj && findChild(moov, proj, 'equi');
+    if (!equi) {
+      return { stereoMode, metadataSource, projection: null };
+    }
+
+    const bound = index => moov.readUInt32BE(equi.start + 12 + index * 4) / 2 ** 32;
+    const bounds = { top: bound(0), bottom: bound(1), left: bound(2), right: bound(3) };
+
+    return {
+      stereoMode,
+      metadataSource,
+      projection: 'equirectangular',
+      bounds,
+      horizontalFov: Math.round(360 * (1 - bounds.left - bounds.right) * 100) / 100,
+      verticalFov: Math.round(180 * (1 - bounds.top - bounds.bottom) * 100) / 100
+    };
+  } finally {
+    await handle.close();
+  }
+}
@@ -0,0 +1,78 @@
+import sharp from 'sharp';
+
+// Depth-image-based rendering (DIBR): shifts every pixel horizontally by a
+// disparity derived from its depth to synthesise a virtual left or right eye.
+//
+// Rendered views are RGBA. Pixels that no source pixel landed on
+// (disocclusions revealed behind foreground objects) are left with alpha 0
+// so that a later pass can fill them.
+
+export async function readFrame(framePath) {
+  const { data, info } = await sharp(framePath)
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return { data, width: info.width, height: info.height, channels: 3 };
+}
+
+export async function readView(viewPath) {
+  const { data, info } = await sharp(viewPath)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return { data, width: info.width, height: info.height, channels: 4 };
+}
+
+export async function writeFrame(frame, outputPath) {
+  await sharp(frame.data, { raw: { width: frame.width, height: frame.height, channels: frame.channels } })
+    .png()
+    .toFile(outputPath);
+}
+
+// Horizontal pixel shift for a depth value (0 = far, 255 = near).
+// `baseline` is the disparity between the nearest and farthest depth as a
+// fraction of the frame width; depth equal to `zeroParallaxDepth` (0-1) stays
+// on the screen plane, nearer pixels pop out and farther ones recede.
+export function disparityFor(depthValue, width, { baseline, zeroParallaxDepth }) {
+  return baseline * width * (depthValue / 255 - zeroParallaxDepth);
+}
+
+export function renderView(frame, depth, eye, options) {
+  const { width, height, data } = frame;
+
+  if (depth.width !== width || depth.height !== height) {
+    throw new Error(`Depth map is ${depth.width}x${depth.height} but frame is ${width}x${height}`);
+  }
+
+  // Crossed disparity: near objects move right in the left eye and left in
+  // the right eye, each by half of the total disparity
+  const direction = eye === 'left' ? 0.5 : -0.5;
+
+  const output = Buffer.alloc(width * height * 4);
+  const zBuffer = new Int16Array(width * height).fill(-1);
+
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      const source = row + x;
+      const z = depth.data[source];
+      const targetX = Math.round(x + direction * disparityFor(z, width, options));
+
+      if (targetX < 0 || targetX >= width) continue;
+
+      // Nearer pixels win when several land on the same spot
+      const target = row + targetX;
+      if (z <= zBuffer[target]) continue;
+      zBuffer[target] = z;
+
+      output[target * 4] = data[source * 3];
+      output[target * 4 + 1] = data[source * 3 + 1];
+      output[target * 4 + 2] = data[source * 3 + 2];
+      output[target * 4 + 3] = 255;
+    }
+  }
+
+  return { data: output, width, height, channels: 4 };
+}
@@ -0,0 +1,141 @@
+// Adaptive streaming packages of the final video, so players start quickly
+// and pick a quality that suits the connection instead of fetching the whole
+// MP4. Every rendition is re-encoded to h264 with keyframes on segment
+// boundaries, so players can switch between them at any segment.
+
+export const STREAMING_FORMATS = ['none', 'hls', 'dash', 'both'];
+
+// Packages are written to outputs/<jobId>/<STREAM_DIR>
+export const STREAM_DIR = 'stream';
+export const HLS_MASTER_PLAYLIST = 'master.m3u8';
+export const DASH_MANIFEST = 'manifest.mpd';
+
+export const SEGMENT_SECONDS = 4;
+
+// Largest per-eye size streamed. Bigger h264 frames are beyond the decoders
+// in current headsets; the MP4 download keeps the full resolution.
+export const MAX_STREAM_EYE_SIZE = 2048;
+
+// Per-eye sizes offered below the top rung
+const LOWER_RUNGS = [1440, 1080, 720];
+
+const BITS_PER_PIXEL = 0.08;
+const AUDIO_BITRATE_KBPS = 128;
+
+const even = value => Math.max(2, Math.round(value / 2) * 2);
+
+// Renditions for a `width`x`height` output, largest first. The per-eye size
+// is the shorter side for both side-by-side and top-bottom layouts.
+export function streamingLadder({ width, height, fps }) {
+  const eyeSize = Math.min(width, height);
+  const top = Math.min(eyeSize, MAX_STREAM_EYE_SIZE);
+
+  return [top, ...LOWER_RUNGS.filter(size => size < top)].map(size => {
+    const renditionWidth = even((width * size) / eyeSize);
+    const renditionHeight = even((height * size) / eyeSize);
+    return {
+      name: String(size),
+      width: renditionWidth,
+      height: renditionHeight,
+      videoKbps: Math.round((renditionWidth * renditionHeight * fps * BITS_PER_PIXEL) / 1000)
+    };
+  });
+}
+
+// x264 settings shared by every rendition, with a keyframe at the start of
+// each segment and nowhere else
+function encoderOptions(fps) {
+  const keyframeInterval = Math.max(1, Math.round(fps * SEGMENT_SECONDS));
+  return [
+    '-c:v', 'libx264',
+    '-profile:v', 'high',
+    '-preset', 'veryfast',
+    '-pix_fmt', 'yuv420p',
+    '-g', String(keyframeInterval),
+    '-keyint_min', String(keyframeInterval),
+    '-sc_threshold', '0'
+  ];
+}
+
+// Capped bitrate for the `index`th video stream of an output
+function rateOptions(rendition, index) {
+  return [
+    `-b:v:${index}`, `${rendition.videoKbps}k`,
+    `-maxrate:v:${index}`, `${Math.round(rendition.videoKbps * 1.1)}k`,
+    `-bufsize:v:${index}`, `${rendition.videoKbps * 2}k`
+  ];
+}
+
+function audioOptions(hasAudio) {
+  return hasAudio ? ['-c:a', 'aac', '-b:a', `${AUDIO_BITRATE_KBPS}k`] : [];
+}
+
+// Output options for one HLS variant. Variants are encoded one at a time:
+// var_stream_map in the bundled ffmpeg is unreliable, so the master
+// playlist is written by masterPlaylist instead.
+export function hlsRenditionOptions(rendition, { fps, hasAudio, segmentPattern }) {
+  return [
+    '-map', '0:v:0',
+    ...(hasAudio ? ['-map', '0:a:0'] : []),
+    '-vf', `scale=${rendition.width}:${rendition.height}`,
+    ...encoderOptions(fps),
+    ...rateOptions(rendition, 0),
+    ...audioOptions(hasAudio),
+    '-f', 'hls',
+    '-hls_time', String(SEGMENT_SECONDS),
+    '-hls_playlist_type', 'vod',
+    '-hls_segment_filename', segmentPattern,
+    '-y'
+  ];
+}
+
+// Output options for a DASH package with every rendition in one adaptation
+// set and the audio in another
+export function dashOptions(renditions, { fps, hasAudio }) {
+  const scaled = renditions.map((rendition, index) => `[v${index}]`);
+  const filter = [
+    `[0:v]split=${renditions.length}${renditions.map((rendition, index) => `[s${index}]`).join('')}`,
+    ...renditions.map((rendition, index) => `[s${index}]scale=${rendition.width}:${rendition.height}${scaled[index]}`)
+  ].join(';');
+  const videoStreams = renditions.map((rendition, index) => index).join(',');
+
+  return [
+    '-filter_complex', filter,
+    ...scaled.flatMap(label => ['-map', label]),
+    ...(hasAudio ? ['-map', '0:a:0'] : []),
+    ...encoderOptions(fps),
+    ...renditions.flatMap((rendition, index) => rateOptions(rendition, index)),
+    ...audioOptions(hasAudio),
+    '-f', 'dash',
+    '-seg_duration', String(SEGMENT_SECONDS),
+    '-use_template', '1',
+    '-use_timeline', '1',
+    '-init_seg_name', 'dash-init-$RepresentationID$.$ext$',
+    '-media_seg_name', 'dash-chunk-$RepresentationID$-$Number%05d$.$ext$',
+    '-adaptation_sets', hasAudio ? `id=0,streams=${videoStreams} id=1,streams=${renditions.length}` : `id=0,streams=${videoStreams}`,
+    '-y'
+  ];
+}
+
+// RFC 6381 codec string for a High profile h264 stream as ffprobe reports it
+export function avcCodecString(level) {
+  return `avc1.6400${Number(level).toString(16).padStart(2, '0')}`;
+}
+
+// HLS master playlist listing each variant's media playlist. `codecs` is
+// the video codec string of each rendition, in the same order.
+export function masterPlaylist(renditions, { fps, hasAudio, codecs }) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-INDEPENDENT-SEGMENTS'];
+  renditions.forEach((rendition, index) => {
+    const audioKbps = hasAudio ? AUDIO_BITRATE_KBPS : 0;
+    const attributes = [
+      `BANDWIDTH=${(Math.round(rendition.videoKbps * 1.1) + audioKbps) * 1000}`,
+      `AVERAGE-BANDWIDTH=${(rendition.videoKbps + audioKbps) * 1000}`,
+      `RESOLUTION=${rendition.width}x${rendition.height}`,
+      `FRAME-RATE=${fps.toFixed(3)}`,
+      `CODECS="${[codecs[index], ...(hasAudio ? ['mp4a.40.2'] : [])].join(',')}"`
+    ];
+    lines.push(`#EXT-X-STREAM-INF:${attributes.join(',')}`, `${rendition.name}/playlist.m3u8`);
+  });
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,67 @@
+import sharp from 'sharp';
+
+// CPU upscaling of per-eye VR180 frames: optional denoise, resample to the
+// target resolution, then an unsharp mask to restore edge contrast.
+
+// Square per-eye resolution for common side-by-side output sizes
+export const RESOLUTION_PRESETS = {
+  '4k': 1920, // 3840x1920 side-by-side
+  '5.7k': 2880, // 5760x2880 side-by-side
+  '8k': 4096 // 8192x4096 side-by-side
+};
+
+// Resampling kernels supported by sharp
+export const UPSCALE_ALGORITHMS = ['lanczos3', 'lanczos2', 'mitchell', 'cubic', 'nearest'];
+
+export function resolveEyeResolution(eyeResolution) {
+  if (typeof eyeResolution === 'number') {
+    if (!Number.isInteger(eyeResolution) || eyeResolution < 16 || eyeResolution % 2 !== 0) {
+      throw new Error(`Per-eye resolution must be an even number of pixels, got ${eyeResolution}`);
+    }
+    return eyeResolution;
+  }
+
+  if (!(eyeResolution in RESOLUTION_PRESETS)) {
+    throw new Error(`Unknown resolution preset: ${eyeResolution}`);
+  }
+  return RESOLUTION_PRESETS[eyeResolution];
+}
+
+// Summary of what was applied to `inputSize` frames, recorded on the job.
+// Frames already at the target size are not resampled, so no kernel is used.
+export function describeUpscaling({ size, algorithm, denoise, sharpen }, inputSize) {
+  if (!UPSCALE_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unknown upscaling algorithm: ${algorithm}`);
+  }
+
+  return {
+    algorithm: inputSize < size ? algorithm : 'none',
+    denoise: denoise ? 'median-3x3' : 'none',
+    sharpen: sharpen ? 'unsharp-mask' : 'none',
+    inputWidth: inputSize,
+    inputHeight: inputSize,
+    width: size,
+    height: size
+  };
+}
+
+export async function upscaleFrame(frame, { size, algorithm, denoise, sharpen }) {
+  const { width, height, channels, data } = frame;
+  let image = sharp(data, { raw: { width, height, channels } });
+
+  // Denoise before resampling so noise is not enlarged along with detail
+  if (denoise) {
+    image = sharp(await image.median(3).raw().toBuffer(), { raw: { width, height, channels } });
+  }
+
+  if (width !== size || height !== size) {
+    image = image.resize(size, size, { fit: 'fill', kernel: algorithm });
+  }
+
+  if (sharpen) {
+    image = image.sharpen({ sigma: Math.max(0.5, size / width / 2) });
+  }
+
+  const output = await image.raw().toBuffer();
+  return { data: output, width: size, height: size, channels };
+}
@@ -0,0 +1,116 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Named sets of conversion options. Built-in presets ship with the server
+// and cannot be changed; user presets are kept in a JSON file.
+
+export const BUILT_IN_PRESETS = {
+  'quest-3-high-quality': {
+    description: 'Sharp 5.7K HEVC for Meta Quest 3 and similar headsets',
+    options: {
+      eyeResolution: '5.7k',
+      videoCodec: 'h265',
+      videoBitrate: '60M',
+      upscaleAlgorithm: 'lanczos3',
+      blurStrength: 0.4
+    }
+  },
+  'youtube-vr180': {
+    description: 'Side-by-side 5.7K H.264 at a bitrate suited to YouTube VR180 uploads',
+    options: {
+      outputLayout: 'sbs',
+      eyeResolution: '5.7k',
+      videoCodec: 'h264',
+      videoBitrate: '80M'
+    }
+  },
+  'quick-preview': {
+    description: 'Low resolution and minimal processing to check depth and framing fast',
+    options: {
+      eyeResolution: 1024,
+      projectionFill: 'black',
+      blurStrength: 0,
+      upscaleDenoise: false,
+      upscaleSharpen: false
+    }
+  }
+};
+
+// Lowercase words separated by dashes, e.g. "my-preset-2"
+export const PRESET_NAME_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+export class PresetStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.userPresets = new Map();
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const saved = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      for (const preset of saved) {
+        this.userPresets.set(preset.name, preset);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    console.log(`Loaded ${this.userPresets.size} user presets from ${this.filePath}`);
+  }
+
+  isBuiltIn(name) {
+    return Object.hasOwn(BUILT_IN_PRESETS, name);
+  }
+
+  get(name) {
+    if (this.isBuiltIn(name)) {
+      return { name, ...BUILT_IN_PRESETS[name], builtIn: true };
+    }
+    const preset = this.userPresets.get(name);
+    return preset ? { ...preset, builtIn: false } : null;
+  }
+
+  list() {
+    return [
+      ...Object.keys(BUILT_IN_PRESETS).map(name => this.get(name)),
+      ...Array.from(this.userPresets.keys()).sort().map(name => this.get(name))
+    ];
+  }
+
+  // Creates or replaces a user preset
+  async save({ name, description = '', options }) {
+    const existing = this.userPresets.get(name);
+    const now = new Date();
+    const preset = {
+      name,
+      description,
+      options,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    this.userPresets.set(name, preset);
+    await this.write();
+    return this.get(name);
+  }
+
+  async remove(name) {
+    const removed = this.userPresets.delete(name);
+    if (removed) await this.write();
+    return removed;
+  }
+
+  // Writes are queued so concurrent saves cannot clobber the temp file
+  write() {
+    const write = this.writeQueue.then(() => this.writeFile());
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  async writeFile() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(Array.from(this.userPresets.values()), null, 2));
+    await fs.rename(tempPath, this.filePath);
+  }
+}
@@ -0,0 +1,103 @@
+// Overall progress and completion estimates for running jobs.
+//
+// Stages are weighted by what they are expected to cost per frame: the mean
+// of recently completed jobs where there is history, DEFAULT_STAGE_COSTS
+// otherwise. The ETA starts from those expected costs and moves over to the
+// rates measured on the job itself as its stages get through frames.
+
+// Rough milliseconds per frame at the default 4K per eye, for a server with
+// no completed jobs yet
+export const DEFAULT_STAGE_COSTS = {
+  download: 2, // imported sources only; depends mostly on the source server
+  extract: 5,
+  depth: 60,
+  stereo: 15,
+  outpainting: 110,
+  blur: 140,
+  upscaling: 300,
+  encode: 200,
+  output: 5,
+  streaming: 150 // only when a streaming package is requested
+};
+
+// Frames a stage has to get through before its measured rate fully
+// replaces the expected one
+const FRAMES_FOR_MEASURED_RATE = 24;
+
+// Mean milliseconds per frame for each stage over the most recent completed
+// jobs, or null without any history
+export function historicalStageCosts(jobs, limit = 20) {
+  const recent = jobs
+    .filter(job => job.status === 'completed' && job.completedAt && job.stageTimings && job.frames?.total > 0)
+    .sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt))
+    .slice(0, limit);
+  if (recent.length === 0) return null;
+
+  const costs = {};
+  for (const name of Object.keys(DEFAULT_STAGE_COSTS)) {
+    const samples = recent
+      .filter(job => job.stageTimings[name] > 0)
+      .map(job => job.stageTimings[name] / job.frames.total);
+    if (samples.length > 0) {
+      costs[name] = samples.reduce((sum, cost) => sum + cost, 0) / samples.length;
+    }
+  }
+  return costs;
+}
+
+function expectedCost(name, historical) {
+  return historical?.[name] ?? DEFAULT_STAGE_COSTS[name] ?? 0;
+}
+
+// Percentage of the job's work that is done, 0-100
+export function overallProgress(stages = [], historical = null) {
+  let total = 0;
+  let done = 0;
+  for (const stage of stages) {
+    const cost = expectedCost(stage.name, historical);
+    total += cost;
+    done += cost * Math.min(100, stage.progress || 0) / 100;
+  }
+  if (total === 0) return 0;
+  return Math.round((done / total) * 1000) / 10;
+}
+
+// Estimated time left for a running job, from each stage's remaining frames
+// at its measured rate blended with its expected rate. Expected rates are
+// scaled by how this job has compared to them so far, which accounts for
+// resolution and hardware. Returns null until the frame count is known.
+export function estimateCompletion(stages = [], totalFrames = 0, historical = null, now = Date.now()) {
+  if (!totalFrames) return null;
+
+  const measured = stages
+    .map(stage => ({
+      stage,
+      frames: (Math.min(100, stage.progress || 0) / 100) * totalFrames
+    }))
+    .filter(({ stage, frames }) => frames >= 1 && stage.durationMs > 0);
+
+  // Measured time against what the same work was expected to take
+  const expectedMs = measured.reduce((sum, { stage, frames }) => sum + expectedCost(stage.name, historical) * frames, 0);
+  const measuredMs = measured.reduce((sum, { stage }) => sum + stage.durationMs, 0);
+  const speedFactor = expectedMs > 0 ? measuredMs / expectedMs : 1;
+
+  let remainingMs = 0;
+  for (const stage of stages) {
+    const framesDone = (Math.min(100, stage.progress || 0) / 100) * totalFrames;
+    const framesLeft = totalFrames - framesDone;
+    if (framesLeft <= 0) continue;
+
+    let costPerFrame = expectedCost(stage.name, historical) * speedFactor;
+    if (framesDone >= 1 && stage.durationMs > 0) {
+      const weight = Math.min(1, framesDone / FRAMES_FOR_MEASURED_RATE);
+      costPerFrame = weight * (stage.durationMs / framesDone) + (1 - weight) * costPerFrame;
+    }
+    remainingMs += costPerFrame * framesLeft;
+  }
+
+  return {
+    remainingMs: Math.round(remainingMs),
+    estimatedCompletionTime: new Date(now + remainingMs),
+    basis: measured.length > 0 ? 'measured' : historical ? 'historical' : 'default'
+  };
+}
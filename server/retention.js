@@ -0,0 +1,199 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Background cleanup of job files.
+//
+// Completed jobs drop their intermediates as soon as they finish; the final
+// output and the upload are kept for `outputTtlMs`. Failed and interrupted
+// jobs keep everything for `intermediateTtlMs` so they can still be looked
+// at (or retried), then all of their files go. Expired jobs stay in the job
+// store with status `expired`.
+
+const HOUR = 60 * 60 * 1000;
+
+// Everything under outputs/<jobId> except these is an intermediate
+const FINAL_OUTPUTS = ['final_vr180.mp4', 'stream'];
+
+async function sizeOf(target) {
+  let stats;
+  try {
+    stats = await fs.stat(target);
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+  if (!stats.isDirectory()) return stats.size;
+
+  let total = 0;
+  for (const entry of await fs.readdir(target)) {
+    total += await sizeOf(path.join(target, entry));
+  }
+  return total;
+}
+
+async function removeAll(targets) {
+  let freed = 0;
+  for (const target of targets) {
+    freed += await sizeOf(target);
+    await fs.rm(target, { recursive: true, force: true });
+  }
+  return freed;
+}
+
+export class RetentionSweeper {
+  constructor({
+    jobStore,
+    uploadDir = 'uploads',
+    outputDir = 'outputs',
+    outputTtlMs = 72 * HOUR,
+    intermediateTtlMs = 24 * HOUR,
+    intervalMs = 15 * 60 * 1000
+  }) {
+    this.jobStore = jobStore;
+    this.uploadDir = uploadDir;
+    this.outputDir = outputDir;
+    this.outputTtlMs = outputTtlMs;
+    this.intermediateTtlMs = intermediateTtlMs;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.sweeping = null;
+    this.lastSweep = null;
+  }
+
+  // When the job's files will be deleted, or null while it is still active
+  expiresAt(job) {
+    if (job.status === 'completed' && job.completedAt) {
+      return new Date(new Date(job.completedAt).getTime() + this.outputTtlMs);
+    }
+    const finishedAt = job.status === 'failed' ? job.failedAt
+      : job.status === 'interrupted' ? job.interruptedAt
+        : null;
+    if (finishedAt) {
+      return new Date(new Date(finishedAt).getTime() + this.intermediateTtlMs);
+    }
+    return null;
+  }
+
+  jobDir(job) {
+    return path.join(this.outputDir, job.id);
+  }
+
+  // Removes everything in the job's output directory but the final video
+  // and its streaming package
+  async removeIntermediates(job) {
+    let entries = [];
+    try {
+      entries = await fs.readdir(this.jobDir(job));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const targets = entries
+      .filter(entry => !FINAL_OUTPUTS.includes(entry))
+      .map(entry => path.join(this.jobDir(job), entry));
+    return removeAll(targets);
+  }
+
+  async expire(job) {
+    const targets = [this.jobDir(job)];
+    if (job.inputPath) targets.push(job.inputPath);
+    const freed = await removeAll(targets);
+
+    this.jobStore.update(job.id, { status: 'expired', expiredAt: new Date() });
+    console.log(`Expired job ${job.id}: removed ${freed} bytes`);
+    return freed;
+  }
+
+  // Files from jobs the store does not know about, e.g. from before the
+  // job store existed, go once they are older than the output TTL
+  async removeOrphans(now) {
+    const known = new Set(this.jobStore.list().map(job => job.id));
+    const knownUploads = new Set(this.jobStore.list().map(job => job.inputPath && path.resolve(job.inputPath)));
+    const targets = [];
+
+    for (const [dir, isKnown] of [
+      [this.outputDir, entry => known.has(entry)],
+      [this.uploadDir, entry => knownUploads.has(path.resolve(this.uploadDir, entry))]
+    ]) {
+      let entries = [];
+      try {
+        entries = await fs.readdir(dir);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      for (const entry of entries) {
+        if (isKnown(entry)) continue;
+        const target = path.join(dir, entry);
+        const { mtimeMs } = await fs.stat(target);
+        if (now - mtimeMs > this.outputTtlMs) targets.push(target);
+      }
+    }
+
+    return removeAll(targets);
+  }
+
+  async sweep() {
+    // Overlapping timer ticks share one run
+    if (!this.sweeping) {
+      this.sweeping = this.runSweep().finally(() => {
+        this.sweeping = null;
+      });
+    }
+    return this.sweeping;
+  }
+
+  async runSweep() {
+    const now = Date.now();
+    let expired = 0;
+    let freed = 0;
+
+    for (const job of this.jobStore.list()) {
+      const expiresAt = this.expiresAt(job);
+      if (expiresAt && expiresAt.getTime() <= now) {
+        freed += await this.expire(job);
+        expired++;
+      } else if (job.status === 'completed') {
+        // Leftovers from a completed job are never needed again
+        freed += await this.removeIntermediates(job);
+      }
+    }
+
+    freed += await this.removeOrphans(now);
+
+    this.lastSweep = { at: new Date(now), expiredJobs: expired, freedBytes: freed };
+    const usage = await this.diskUsage();
+    console.log(`Cleanup: ${expired} jobs expired, ${freed} bytes freed, ${usage.totalBytes} bytes in use`);
+    return this.lastSweep;
+  }
+
+  async diskUsage() {
+    const uploadsBytes = await sizeOf(this.uploadDir);
+    const outputsBytes = await sizeOf(this.outputDir);
+
+    let free = null;
+    // statfs needs Node 18.15+
+    if (fs.statfs) {
+      const stats = await fs.statfs('.');
+      free = { availableBytes: stats.bavail * stats.bsize, sizeBytes: stats.blocks * stats.bsize };
+    }
+
+    return {
+      uploadsBytes,
+      outputsBytes,
+      totalBytes: uploadsBytes + outputsBytes,
+      disk: free,
+      outputTtlHours: this.outputTtlMs / HOUR,
+      intermediateTtlHours: this.intermediateTtlMs / HOUR,
+      lastSweep: this.lastSweep
+    };
+  }
+
+  start() {
+    this.sweep().catch(error => console.error('Cleanup failed:', error));
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => console.error('Cleanup failed:', error));
+    }, this.intervalMs);
+    // Do not keep the process alive just for cleanup
+    this.timer.unref();
+  }
+}
@@ -0,0 +1,179 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { ImportError, checkImportUrl, downloadSource, importFilename } from '../importer.js';
+
+const VIDEO = Buffer.alloc(64 * 1024, 7);
+
+// Static source server with a few misbehaving routes
+function startSourceServer() {
+  const server = http.createServer((req, res) => {
+    const { port } = server.address();
+    switch (req.url) {
+      case '/video.mp4':
+        res.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': VIDEO.length });
+        res.end(VIDEO);
+        break;
+      case '/binary':
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+        res.end(VIDEO);
+        break;
+      case '/page.html':
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end('<html></html>');
+        break;
+      case '/redirect':
+        res.writeHead(302, { Location: '/video.mp4' });
+        res.end();
+        break;
+      case '/redirect-elsewhere':
+        res.writeHead(301, { Location: `http://localhost:${port}/video.mp4` });
+        res.end();
+        break;
+      case '/loop':
+        res.writeHead(307, { Location: '/loop' });
+        res.end();
+        break;
+      case '/stall':
+        res.writeHead(200, { 'Content-Type': 'video/mp4' });
+        res.write(VIDEO.subarray(0, 1024));
+        break;
+      default:
+        res.writeHead(404);
+        res.end();
+    }
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('downloadSource', () => {
+  let server;
+  let baseUrl;
+  let rootDir;
+  let tempDir;
+
+  before(async () => {
+    server = await startSourceServer();
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'palace-importer-'));
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    server.close();
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  // Each test downloads into a directory of its own
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(rootDir, 'test-'));
+  });
+
+  const download = (route, options = {}) => downloadSource(`${baseUrl}${route}`, path.join(tempDir, `${route.slice(1)}.out`), {
+    maxBytes: 1024 * 1024,
+    timeoutMs: 5000,
+    ...options
+  });
+
+  // Nothing, not even the partial download, is left behind on failure
+  const assertNoFiles = async () => {
+    assert.deepEqual(await fs.readdir(tempDir), []);
+  };
+
+  test('saves the source and reports progress', async () => {
+    const progress = [];
+    const result = await download('/video.mp4', { onProgress: (received, total) => progress.push([received, total]) });
+
+    assert.deepEqual(result, { size: VIDEO.length, contentType: 'video/mp4' });
+    assert.deepEqual(await fs.readFile(path.join(tempDir, 'video.mp4.out')), VIDEO);
+    assert.deepEqual(progress.at(-1), [VIDEO.length, VIDEO.length]);
+  });
+
+  test('accepts generic binary content without a length', async () => {
+    const progress = [];
+    const result = await download('/binary', { onProgress: (received, total) => progress.push(total) });
+
+    assert.equal(result.size, VIDEO.length);
+    assert.ok(progress.every(total => total === null));
+  });
+
+  test('rejects content that is not a video', async () => {
+    await assert.rejects(download('/page.html'), { name: 'ImportError', message: /not a video \(Content-Type: text\/html\)/ });
+    await assertNoFiles();
+  });
+
+  test('rejects error responses', async () => {
+    await assert.rejects(download('/missing'), { name: 'ImportError', message: 'Source server responded with HTTP 404' });
+  });
+
+  test('rejects sources over the size limit', async () => {
+    await assert.rejects(download('/video.mp4', { maxBytes: 1000 }), { name: 'ImportError', message: /limit is 1000/ });
+    await assert.rejects(download('/binary', { maxBytes: 1000 }), { name: 'ImportError', message: /larger than the limit/ });
+    await assertNoFiles();
+  });
+
+  test('follows redirects to allowed hosts', async () => {
+    const result = await download('/redirect', { allowedHosts: ['127.0.0.1'] });
+    assert.equal(result.size, VIDEO.length);
+  });
+
+  test('does not follow redirects to other hosts', async () => {
+    await assert.rejects(
+      download('/redirect-elsewhere', { allowedHosts: ['127.0.0.1'] }),
+      { name: 'ImportError', message: /^Redirected to http:\/\/localhost:\d+\/video\.mp4: Imports from localhost are not allowed$/ }
+    );
+    await assertNoFiles();
+  });
+
+  test('checks the URL itself against the allowlist', async () => {
+    await assert.rejects(download('/video.mp4', { allowedHosts: ['example.com'] }), { name: 'ImportError', message: 'Imports from 127.0.0.1 are not allowed' });
+  });
+
+  test('gives up on redirect loops', async () => {
+    await assert.rejects(download('/loop'), { name: 'ImportError', message: /redirected more than \d+ times/ });
+  });
+
+  test('times out stalled downloads', async () => {
+    await assert.rejects(download('/stall', { timeoutMs: 200 }), { name: 'ImportError', message: 'Download timed out after 0 seconds' });
+    await assertNoFiles();
+  });
+
+  test('stops when the caller aborts', async () => {
+    const controller = new AbortController();
+    const pending = download('/stall', { signal: controller.signal });
+    setTimeout(() => controller.abort(), 100);
+
+    await assert.rejects(pending, error => !(error instanceof ImportError));
+    await assertNoFiles();
+  });
+
+  test('reports unreachable servers', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${closed.address().port}/video.mp4`;
+    await new Promise(resolve => closed.close(resolve));
+
+    await assert.rejects(
+      downloadSource(url, path.join(tempDir, 'unreachable.out'), { maxBytes: 1024, timeoutMs: 5000 }),
+      { name: 'ImportError', message: /^Could not fetch / }
+    );
+  });
+});
+
+test('checkImportUrl accepts only http and https URLs on allowed hosts', () => {
+  assert.equal(checkImportUrl('https://videos.example.com/a.mp4'), null);
+  assert.equal(checkImportUrl('https://videos.example.com/a.mp4', ['videos.example.com']), null);
+  assert.equal(checkImportUrl('https://other.example.com/a.mp4', ['videos.example.com']), 'Imports from other.example.com are not allowed');
+  assert.equal(checkImportUrl('file:///etc/passwd'), 'url must be an http or https URL');
+  assert.equal(checkImportUrl('not a url'), 'url must be a valid URL');
+});
+
+test('importFilename uses the last part of the URL path', () => {
+  assert.equal(importFilename('https://example.com/clips/My%20Trip.mp4?token=1'), 'My Trip.mp4');
+  assert.equal(importFilename('https://example.com/'), 'imported-video');
+  assert.equal(importFilename('https://example.com/%E0%A4%A'), 'imported-video');
+});
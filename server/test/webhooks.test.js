@@ -0,0 +1,161 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { JobStore } from '../jobStore.js';
+import { WebhookDispatcher, isValidCallbackUrl, signPayload } from '../webhooks.js';
+
+const SECRET = 'test-secret';
+
+// Local receiver that answers with the queued status codes in turn, then 200
+function startReceiver() {
+  const receiver = { requests: [], statuses: [] };
+  receiver.server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      receiver.requests.push({ at: Date.now(), headers: req.headers, body: Buffer.concat(chunks).toString() });
+      res.writeHead(receiver.statuses.shift() ?? 200);
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => {
+    receiver.server.listen(0, '127.0.0.1', () => {
+      receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+      resolve(receiver);
+    });
+  });
+}
+
+describe('WebhookDispatcher', () => {
+  let receiver;
+  let tempDir;
+  let jobStore;
+
+  before(async () => {
+    receiver = await startReceiver();
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'palace-webhooks-'));
+  });
+
+  after(async () => {
+    receiver.server.close();
+    await jobStore?.flush();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    await jobStore?.flush();
+    jobStore = new JobStore(path.join(tempDir, `${crypto.randomUUID()}.jsonl`));
+    jobStore.create({ id: 'job-1', callbackUrl: receiver.url });
+    receiver.requests = [];
+    receiver.statuses = [];
+  });
+
+  test('signs the body with the shared secret', async () => {
+    const dispatcher = new WebhookDispatcher({ jobStore, secret: SECRET });
+    const payload = { event: 'job.completed', jobId: 'job-1' };
+
+    assert.equal(await dispatcher.deliver('job-1', payload), true);
+    assert.equal(receiver.requests.length, 1);
+
+    const { headers, body } = receiver.requests[0];
+    assert.deepEqual(JSON.parse(body), payload);
+    assert.equal(headers['content-type'], 'application/json');
+    assert.match(headers['x-palace-delivery'], /^[0-9a-f-]{36}$/);
+
+    const timestamp = headers['x-palace-timestamp'];
+    assert.ok(Math.abs(Number(timestamp) - Date.now() / 1000) < 5);
+    const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+    assert.equal(headers['x-palace-signature'], `sha256=${expected}`);
+    assert.equal(signPayload(body, SECRET, timestamp), `sha256=${expected}`);
+  });
+
+  test('records a successful attempt on the job', async () => {
+    const dispatcher = new WebhookDispatcher({ jobStore, secret: SECRET });
+    await dispatcher.deliver('job-1', { event: 'job.completed' });
+
+    const { callback } = jobStore.get('job-1');
+    assert.equal(callback.url, receiver.url);
+    assert.equal(callback.attempts.length, 1);
+    assert.equal(callback.attempts[0].deliveryId, receiver.requests[0].headers['x-palace-delivery']);
+    assert.equal(callback.attempts[0].event, 'job.completed');
+    assert.equal(callback.attempts[0].attempt, 1);
+    assert.equal(callback.attempts[0].statusCode, 200);
+    assert.equal(callback.attempts[0].ok, true);
+    assert.equal(callback.attempts[0].error, undefined);
+  });
+
+  test('retries failed attempts with exponential backoff', async () => {
+    receiver.statuses = [500, 503];
+    const dispatcher = new WebhookDispatcher({ jobStore, secret: SECRET, baseDelayMs: 50 });
+
+    assert.equal(await dispatcher.deliver('job-1', { event: 'job.failed' }), true);
+    assert.equal(receiver.requests.length, 3);
+
+    // Every attempt is the same delivery, freshly signed
+    const deliveryIds = new Set(receiver.requests.map(request => request.headers['x-palace-delivery']));
+    assert.equal(deliveryIds.size, 1);
+
+    const [first, second, third] = receiver.requests.map(request => request.at);
+    assert.ok(second - first >= 45, `first retry after ${second - first}ms`);
+    assert.ok(third - second >= 95, `second retry after ${third - second}ms`);
+
+    const { attempts } = jobStore.get('job-1').callback;
+    assert.deepEqual(attempts.map(attempt => attempt.attempt), [1, 2, 3]);
+    assert.deepEqual(attempts.map(attempt => attempt.statusCode), [500, 503, 200]);
+    assert.deepEqual(attempts.map(attempt => attempt.ok), [false, false, true]);
+    assert.equal(attempts[0].error, 'Receiver responded with HTTP 500');
+  });
+
+  test('gives up after the last attempt', async () => {
+    receiver.statuses = [500, 500, 500];
+    const dispatcher = new WebhookDispatcher({ jobStore, secret: SECRET, maxAttempts: 3, baseDelayMs: 1 });
+
+    assert.equal(await dispatcher.deliver('job-1', { event: 'job.failed' }), false);
+    assert.equal(receiver.requests.length, 3);
+
+    const { attempts } = jobStore.get('job-1').callback;
+    assert.equal(attempts.length, 3);
+    assert.ok(attempts.every(attempt => !attempt.ok && attempt.statusCode === 500));
+  });
+
+  test('records connection errors', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${closed.address().port}/hook`;
+    await new Promise(resolve => closed.close(resolve));
+
+    jobStore.update('job-1', { callbackUrl: url });
+    const dispatcher = new WebhookDispatcher({ jobStore, secret: SECRET, maxAttempts: 2, baseDelayMs: 1 });
+
+    assert.equal(await dispatcher.deliver('job-1', { event: 'job.completed' }), false);
+
+    const { attempts } = jobStore.get('job-1').callback;
+    assert.equal(attempts.length, 2);
+    assert.equal(attempts[0].statusCode, null);
+    assert.ok(attempts[0].error);
+  });
+
+  test('sends nothing without a secret or callback URL', async () => {
+    const unsigned = new WebhookDispatcher({ jobStore, secret: '' });
+    assert.equal(await unsigned.deliver('job-1', { event: 'job.completed' }), false);
+
+    jobStore.create({ id: 'job-2' });
+    const dispatcher = new WebhookDispatcher({ jobStore, secret: SECRET });
+    assert.equal(await dispatcher.deliver('job-2', { event: 'job.completed' }), false);
+
+    assert.equal(receiver.requests.length, 0);
+    assert.equal(jobStore.get('job-1').callback, undefined);
+  });
+});
+
+test('isValidCallbackUrl accepts only http and https URLs', () => {
+  assert.equal(isValidCallbackUrl('https://example.com/hook'), true);
+  assert.equal(isValidCallbackUrl('http://localhost:8080/hook'), true);
+  assert.equal(isValidCallbackUrl('ftp://example.com/hook'), false);
+  assert.equal(isValidCallbackUrl('not a url'), false);
+});
@@ -0,0 +1,180 @@
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { v4 as uuidv4 } from 'uuid';
+
+// Resumable uploads.
+//
+// A session is opened with the file's name and size, then the client sends
+// the bytes in order, each request starting at the offset the server already
+// has. Whatever arrives before a connection drops is kept, so the client asks
+// for the offset and carries on from there. Sessions are stored in `dir` as
+// <id>.json (metadata) and <id>.part (data), so they survive restarts; ones
+// that see no data for `ttlMs` are deleted.
+
+const HOUR = 60 * 60 * 1000;
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// The client's offset is not where the upload stands
+export class UploadOffsetError extends Error {
+  constructor(offset) {
+    super(`Upload-Offset does not match the current offset (${offset})`);
+    this.name = 'UploadOffsetError';
+    this.offset = offset;
+  }
+}
+
+// More bytes arrived than the size the session was opened with
+export class UploadOverflowError extends Error {
+  constructor(size) {
+    super(`Upload is larger than its declared size of ${size} bytes`);
+    this.name = 'UploadOverflowError';
+    this.size = size;
+  }
+}
+
+// Another request is still writing to the session
+export class UploadBusyError extends Error {
+  constructor(id) {
+    super(`Upload ${id} is already receiving data`);
+    this.name = 'UploadBusyError';
+  }
+}
+
+export class UploadSessionStore {
+  constructor({ dir = 'partial-uploads', ttlMs = 24 * HOUR, intervalMs = 60 * 60 * 1000 } = {}) {
+    this.dir = dir;
+    this.ttlMs = ttlMs;
+    this.intervalMs = intervalMs;
+    this.writing = new Set();
+    this.timer = null;
+  }
+
+  metadataPath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  dataPath(id) {
+    return path.join(this.dir, `${id}.part`);
+  }
+
+  // `fields` is kept with the session, e.g. what the job will be created with
+  async create({ filename, size, mimeType, fields = {} }) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const session = { id: uuidv4(), filename, size, mimeType, fields, createdAt: new Date() };
+    // Metadata first, so a session without data is cleaned up as stale
+    await fs.writeFile(this.metadataPath(session.id), JSON.stringify(session));
+    await fs.writeFile(this.dataPath(session.id), '');
+    return { ...session, offset: 0 };
+  }
+
+  // The session with its current offset, or null
+  async get(id) {
+    if (!ID_PATTERN.test(id)) return null;
+    try {
+      const session = JSON.parse(await fs.readFile(this.metadataPath(id), 'utf8'));
+      const { size, mtime } = await fs.stat(this.dataPath(id));
+      return { ...session, offset: size, updatedAt: mtime, expiresAt: new Date(mtime.getTime() + this.ttlMs) };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Appends the stream at `offset` and returns the new offset. Bytes that
+  // arrived before the stream failed are kept.
+  async append(id, offset, stream) {
+    if (this.writing.has(id)) throw new UploadBusyError(id);
+    this.writing.add(id);
+
+    try {
+      const session = await this.get(id);
+      if (!session) return null;
+      if (offset !== session.offset) throw new UploadOffsetError(session.offset);
+
+      let remaining = session.size - session.offset;
+      const limit = new Transform({
+        transform(chunk, encoding, callback) {
+          remaining -= chunk.length;
+          if (remaining < 0) callback(new UploadOverflowError(session.size));
+          else callback(null, chunk);
+        }
+      });
+
+      try {
+        await pipeline(stream, limit, createWriteStream(this.dataPath(id), { flags: 'a' }));
+      } catch (error) {
+        if (error instanceof UploadOverflowError) throw error;
+        // A dropped connection is what resuming is for
+        console.warn(`Upload ${id} interrupted: ${error.message}`);
+      }
+
+      return this.get(id);
+    } finally {
+      this.writing.delete(id);
+    }
+  }
+
+  // Runs `task(session)` with the session locked against appends, cleanup and
+  // other calls to finish, so only one request turns a finished upload into a
+  // job. Resolves to null when the session is gone, e.g. finished already.
+  async finish(id, task) {
+    if (this.writing.has(id)) throw new UploadBusyError(id);
+    this.writing.add(id);
+
+    try {
+      const session = await this.get(id);
+      if (!session) return null;
+      await task(session);
+      return session;
+    } finally {
+      this.writing.delete(id);
+    }
+  }
+
+  // Moves the finished data to `destination` and forgets the session
+  async complete(id, destination) {
+    await fs.mkdir(path.dirname(destination), { recursive: true });
+    await fs.rename(this.dataPath(id), destination);
+    await fs.rm(this.metadataPath(id), { force: true });
+  }
+
+  async remove(id) {
+    if (!ID_PATTERN.test(id)) return false;
+    const session = await this.get(id);
+    await fs.rm(this.dataPath(id), { force: true });
+    await fs.rm(this.metadataPath(id), { force: true });
+    return Boolean(session);
+  }
+
+  async removeStale() {
+    let entries = [];
+    try {
+      entries = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    let removed = 0;
+    for (const id of entries.filter(entry => entry.endsWith('.json')).map(entry => path.basename(entry, '.json'))) {
+      if (this.writing.has(id)) continue;
+      const session = await this.get(id);
+      if (!session || session.expiresAt.getTime() <= Date.now()) {
+        await this.remove(id);
+        removed++;
+      }
+    }
+    if (removed > 0) console.log(`Removed ${removed} abandoned uploads`);
+    return removed;
+  }
+
+  start() {
+    this.removeStale().catch(error => console.error('Upload cleanup failed:', error));
+    this.timer = setInterval(() => {
+      this.removeStale().catch(error => console.error('Upload cleanup failed:', error));
+    }, this.intervalMs);
+    this.timer.unref();
+  }
+}
@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+
+// Signed webhook delivery for job callbacks.
+//
+// Each request carries the headers
+//   X-Palace-Delivery   unique id of this delivery (same across retries)
+//   X-Palace-Timestamp  unix time in seconds when the attempt was sent
+//   X-Palace-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+// so receivers can verify the payload with the shared WEBHOOK_SECRET and
+// reject stale replays. Failed attempts are retried with exponential
+// backoff, and every attempt is recorded on the job under `callback`.
+
+export function signPayload(body, secret, timestamp) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+export function isValidCallbackUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+export class WebhookDispatcher {
+  constructor({ jobStore, secret, maxAttempts = 5, baseDelayMs = 2000, timeoutMs = 10000 }) {
+    this.jobStore = jobStore;
+    this.secret = secret;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.timeoutMs = timeoutMs;
+  }
+
+  get enabled() {
+    return Boolean(this.secret);
+  }
+
+  recordAttempt(jobId, attempt) {
+    const job = this.jobStore.get(jobId);
+    const callback = job.callback || { url: job.callbackUrl, attempts: [] };
+    this.jobStore.update(jobId, {
+      callback: { ...callback, attempts: [...callback.attempts, attempt] }
+    });
+  }
+
+  async send(url, deliveryId, body) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Palace-VR180-Webhook/1.0',
+        'X-Palace-Delivery': deliveryId,
+        'X-Palace-Timestamp': String(timestamp),
+        'X-Palace-Signature': signPayload(body, this.secret, timestamp)
+      },
+      body,
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+    // Drain the body so the connection can be reused
+    await response.arrayBuffer().catch(() => {});
+    return response.status;
+  }
+
+  // Delivers the payload in the background; resolves once it was accepted
+  // or all attempts have failed
+  async deliver(jobId, payload) {
+    const job = this.jobStore.get(jobId);
+    if (!job?.callbackUrl || !this.enabled) return false;
+
+    const deliveryId = uuidv4();
+    const body = JSON.stringify(payload);
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const startedAt = Date.now();
+      let statusCode = null;
+      let error = null;
+
+      try {
+        statusCode = await this.send(job.callbackUrl, deliveryId, body);
+        if (statusCode < 200 || statusCode >= 300) {
+          error = `Receiver responded with HTTP ${statusCode}`;
+        }
+      } catch (sendError) {
+        error = sendError.message;
+      }
+
+      this.recordAttempt(jobId, {
+        deliveryId,
+        event: payload.event,
+        attempt,
+        at: new Date(startedAt),
+        durationMs: Date.now() - startedAt,
+        statusCode,
+        ok: !error,
+        error: error || undefined
+      });
+
+      if (!error) {
+        console.log(`Webhook ${payload.event} for job ${jobId} delivered on attempt ${attempt}`);
+        return true;
+      }
+
+      console.warn(`Webhook ${payload.event} for job ${jobId} failed (attempt ${attempt}/${this.maxAttempts}): ${error}`);
+      if (attempt < this.maxAttempts) {
+        await new Promise(resolve => setTimeout(resolve, this.baseDelayMs * 2 ** (attempt - 1)));
+      }
+    }
+
+    return false;
+  }
+}
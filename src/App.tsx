@@ -4,6 +4,7 @@ import Navbar from './components/Navbar';
 import HomePage from './pages/HomePage';
 import UploadPage from './pages/UploadPage';
 import ProcessingPage from './pages/ProcessingPage';
+import BatchPage from './pages/BatchPage';
 import VRExperience from './pages/VRExperience';
 import Footer from './components/Footer';
 
@@ -16,6 +17,7 @@ function App() {
           <Route path="/" element={<HomePage />} />
           <Route path="/upload" element={<UploadPage />} />
           <Route path="/processing/:jobId" element={<ProcessingPage />} />
+          <Route path="/batch/:batchId" element={<BatchPage />} />
           <Route path="/experience" element={<VRExperience />} />
         </Routes>
         <Footer />
@@ -0,0 +1,259 @@
+import { useState, useEffect } from 'react';
+import { useParams, useLocation, Link } from 'react-router-dom';
+import { ArrowLeft, Download, CheckCircle, Clock, AlertCircle, Film, XCircle } from 'lucide-react';
+
+interface BatchJob {
+  id: string;
+  filename: string;
+  status: string;
+  overallProgress: number;
+  eta: { remainingMs: number } | null;
+  queuePosition: number | null;
+  error?: string;
+  expiresAt?: string | null;
+  downloadUrl: string | null;
+}
+
+// Shape of /api/batches/:batchId responses
+interface BatchData {
+  id: string;
+  status: 'queued' | 'processing' | 'completed' | 'partially_completed' | 'failed' | 'cancelled';
+  overallProgress: number;
+  counts: Record<string, number>;
+  downloadUrl: string | null;
+  jobs: BatchJob[];
+}
+
+// Files the server turned away when the batch was uploaded
+interface RejectedFile {
+  filename: string;
+  error: string;
+  details?: { code: string; message: string }[];
+}
+
+const BATCH_HEADINGS: Record<BatchData['status'], string> = {
+  queued: 'Waiting in Queue',
+  processing: 'Processing Your Videos',
+  completed: 'Conversion Complete!',
+  partially_completed: 'Conversion Finished',
+  failed: 'Processing Failed',
+  cancelled: 'Conversion Cancelled'
+};
+
+// No video in the batch is waiting or converting any more
+const isFinished = (batch: BatchData) => !['queued', 'processing'].includes(batch.status);
+
+const BatchPage = () => {
+  const { batchId } = useParams();
+  const location = useLocation();
+  const rejected: RejectedFile[] = location.state?.rejected || [];
+  const [batch, setBatch] = useState<BatchData | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let interval: ReturnType<typeof setInterval> | null = null;
+
+    const pollBatchStatus = async () => {
+      try {
+        const response = await fetch(`/api/batches/${batchId}`);
+        if (!response.ok) {
+          setError(response.status === 404 ? 'This batch does not exist' : 'Failed to fetch batch status');
+          return;
+        }
+        const batchData: BatchData = await response.json();
+        setBatch(batchData);
+        if (isFinished(batchData) && interval) {
+          clearInterval(interval);
+        }
+      } catch {
+        setError('Failed to connect to processing server');
+      }
+    };
+
+    // Poll immediately and then every 5 seconds
+    pollBatchStatus();
+    interval = setInterval(pollBatchStatus, 5000);
+
+    return () => {
+      if (interval) clearInterval(interval);
+    };
+  }, [batchId]);
+
+  const getStatusIcon = (status: string) => {
+    switch (status) {
+      case 'completed':
+        return <CheckCircle className="h-5 w-5 text-green-400" />;
+      case 'processing':
+        return <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-purple-400"></div>;
+      case 'failed':
+      case 'interrupted':
+      case 'expired':
+        return <AlertCircle className="h-5 w-5 text-red-400" />;
+      case 'cancelled':
+        return <XCircle className="h-5 w-5 text-gray-400" />;
+      default:
+        return <Clock className="h-5 w-5 text-gray-400" />;
+    }
+  };
+
+  const describeJob = (job: BatchJob) => {
+    switch (job.status) {
+      case 'queued':
+        return job.queuePosition ? `Position ${job.queuePosition} in queue` : 'Waiting to start';
+      case 'processing':
+        return `${Math.round(job.overallProgress)}%${job.eta ? `, about ${Math.ceil(job.eta.remainingMs / 60000)} min left` : ''}`;
+      case 'completed':
+        return 'Ready';
+      case 'expired':
+        return 'Expired and deleted from the server';
+      case 'cancelled':
+        return 'Cancelled';
+      default:
+        return job.error || 'Processing failed';
+    }
+  };
+
+  if (error) {
+    return (
+      <div className="min-h-screen pt-20 pb-12 flex items-center justify-center">
+        <div className="max-w-2xl mx-auto px-4 text-center">
+          <div className="bg-red-500/10 border border-red-500/20 rounded-2xl p-8">
+            <AlertCircle className="h-16 w-16 text-red-400 mx-auto mb-6" />
+            <h2 className="text-3xl font-bold text-white mb-4">Batch Unavailable</h2>
+            <p className="text-red-200 mb-6">{error}</p>
+            <Link
+              to="/upload"
+              className="bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-700 hover:to-blue-700 text-white px-8 py-3 rounded-full font-semibold transition-all duration-300"
+            >
+              Try Again
+            </Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen pt-20 pb-12">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+        <Link
+          to="/"
+          className="inline-flex items-center space-x-2 text-purple-400 hover:text-purple-300 mb-8 transition-colors"
+        >
+          <ArrowLeft className="h-4 w-4" />
+          <span>Back to Home</span>
+        </Link>
+
+        <div className="text-center mb-12">
+          <h1 className="text-4xl md:text-5xl font-bold text-white mb-6">
+            {batch ? BATCH_HEADINGS[batch.status] : 'Processing Your Videos'}
+          </h1>
+          <p className="text-xl text-gray-300">
+            {batch
+              ? `${batch.counts.completed || 0} of ${batch.jobs.length} videos converted`
+              : 'Loading batch status...'}
+          </p>
+        </div>
+
+        {/* Overall Progress */}
+        {batch && (
+          <div className="bg-white/5 backdrop-blur-lg rounded-2xl p-8 border border-white/10 mb-8">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-xl font-semibold text-white">Overall Progress</h3>
+              <span className="text-2xl font-bold text-purple-400">{Math.round(batch.overallProgress)}%</span>
+            </div>
+            <div className="w-full bg-gray-700 rounded-full h-3">
+              <div
+                className="bg-gradient-to-r from-purple-500 to-blue-500 h-3 rounded-full transition-all duration-500 ease-out"
+                style={{ width: `${Math.min(batch.overallProgress, 100)}%` }}
+              ></div>
+            </div>
+            {batch.downloadUrl && (
+              <div className="text-center mt-6">
+                <a
+                  href={batch.downloadUrl}
+                  className="inline-flex items-center space-x-2 bg-gradient-to-r from-green-600 to-blue-600 hover:from-green-700 hover:to-blue-700 text-white px-8 py-3 rounded-full font-semibold transition-all duration-300"
+                >
+                  <Download className="h-5 w-5" />
+                  <span>{isFinished(batch) ? 'Download All (ZIP)' : 'Download Finished Videos (ZIP)'}</span>
+                </a>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Videos */}
+        <div className="space-y-4 mb-8">
+          {batch?.jobs.map(job => (
+            <div
+              key={job.id}
+              className={`bg-white/5 backdrop-blur-lg rounded-xl p-6 border transition-all duration-300 ${
+                job.status === 'processing'
+                  ? 'border-purple-400/50 bg-purple-400/5'
+                  : job.status === 'completed'
+                  ? 'border-green-400/50 bg-green-400/5'
+                  : 'border-white/10'
+              }`}
+            >
+              <div className="flex items-center space-x-4">
+                <Film className="h-8 w-8 text-purple-400" />
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center justify-between mb-1">
+                    <Link
+                      to={`/processing/${job.id}`}
+                      className="text-lg font-semibold text-white hover:text-purple-300 truncate"
+                    >
+                      {job.filename}
+                    </Link>
+                    {getStatusIcon(job.status)}
+                  </div>
+                  <p className="text-gray-300 text-sm">{describeJob(job)}</p>
+                  {job.status === 'processing' && (
+                    <div className="w-full bg-gray-700 rounded-full h-2 mt-2">
+                      <div
+                        className="bg-gradient-to-r from-purple-500 to-blue-500 h-2 rounded-full transition-all duration-300"
+                        style={{ width: `${job.overallProgress}%` }}
+                      ></div>
+                    </div>
+                  )}
+                </div>
+                {job.downloadUrl && (
+                  <a
+                    href={job.downloadUrl}
+                    className="p-2 rounded-lg text-green-400 hover:bg-green-500/10 transition-colors"
+                    title={`Download ${job.filename}`}
+                  >
+                    <Download className="h-5 w-5" />
+                  </a>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Files turned away at upload */}
+        {rejected.length > 0 && (
+          <div className="bg-red-500/10 border border-red-500/20 rounded-xl p-6 mb-8">
+            <h3 className="text-lg font-semibold text-white mb-3">Not converted</h3>
+            <ul className="space-y-2">
+              {rejected.map(file => (
+                <li key={file.filename} className="text-sm text-red-200">
+                  <span className="font-semibold">{file.filename}</span>:{' '}
+                  {file.details?.map(problem => problem.message).join('; ') || file.error}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {batch?.jobs.some(job => job.expiresAt) && (
+          <p className="text-sm text-yellow-300 text-center">
+            Finished videos are deleted from our servers after a while. Download them soon.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BatchPage;
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
-import { ArrowLeft, Download, CheckCircle, Clock, AlertCircle, Eye, Cpu, Palette, Zap, Sparkles } from 'lucide-react';
+import { ArrowLeft, Download, CheckCircle, Clock, AlertCircle, Eye, Cpu, Palette, Zap, Sparkles, XCircle, Radio, Film, Layers, Package, RotateCcw } from 'lucide-react';
 
 interface ProcessingStage {
   id: string;
@@ -9,18 +9,116 @@ interface ProcessingStage {
   icon: React.ComponentType<any>;
   status: 'pending' | 'processing' | 'completed' | 'error';
   progress: number;
+  durationMs?: number;
 }
 
+interface Eta {
+  remainingMs: number;
+  estimatedCompletionTime: string;
+  basis: 'measured' | 'historical' | 'default';
+}
+
+// Shape of /api/status responses and status stream events
+interface JobData {
+  status?: string;
+  stages?: {
+    name: string;
+    status: ProcessingStage['status'];
+    progress?: number;
+    startedAt?: string;
+    finishedAt?: string;
+    durationMs?: number;
+  }[];
+  frames?: { done: number; total: number };
+  overallProgress?: number;
+  eta?: Eta | null;
+  queuePosition?: number;
+  estimatedStartTime?: string | null;
+  expiresAt?: string | null;
+  error?: string;
+  errorDetails?: { code: string; message: string }[];
+  upscaling?: Upscaling;
+}
+
+// What the upscaling stage applied, as recorded on the job
+interface Upscaling {
+  algorithm: string;
+  denoise: string;
+  sharpen: string;
+  inputWidth: number;
+  width: number;
+  height: number;
+}
+
+interface LogEntry {
+  time: string;
+  level: 'info' | 'warn' | 'error';
+  message: string;
+}
+
+const MAX_LOG_LINES = 50;
+
+// Shown for jobs imported from a URL, which fetch their source first
+const DOWNLOAD_STAGE: ProcessingStage = {
+  id: 'download',
+  name: 'Downloading Source',
+  description: 'Fetching your video from its URL',
+  icon: Download,
+  status: 'pending',
+  progress: 0
+};
+
+// Shown for jobs that also package the video for adaptive streaming
+const STREAMING_STAGE: ProcessingStage = {
+  id: 'streaming',
+  name: 'Streaming Package',
+  description: 'Encoding a quality ladder so the video starts fast in the browser',
+  icon: Radio,
+  status: 'pending',
+  progress: 0
+};
+
+// "lanczos3 from 1464px to 1920x1920 per eye, denoised and sharpened"
+const describeUpscaling = (upscaling: Upscaling) => {
+  const size = `${upscaling.width}x${upscaling.height} per eye`;
+  const steps = [
+    upscaling.denoise !== 'none' && 'denoised',
+    upscaling.sharpen !== 'none' && 'sharpened'
+  ].filter(Boolean).join(' and ');
+  const resampling = upscaling.algorithm === 'none'
+    ? `Already ${size}`
+    : `${upscaling.algorithm} from ${upscaling.inputWidth}px to ${size}`;
+  return steps ? `${resampling}, ${steps}` : resampling;
+};
+
+// "1h 5m", "3m 20s" or "12s"
+const formatDuration = (ms: number) => {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds % 60}s`;
+  return `${seconds}s`;
+};
+
 const ProcessingPage = () => {
   const { jobId } = useParams();
   const navigate = useNavigate();
   const [stages, setStages] = useState<ProcessingStage[]>([
+    {
+      id: 'extract',
+      name: 'Frame Extraction',
+      description: 'Reading frames from your video, one chunk at a time',
+      icon: Film,
+      status: 'processing',
+      progress: 0
+    },
     {
       id: 'depth',
       name: 'Depth Map Generation',
       description: 'Analyzing video frames with MiDaS AI to create accurate depth maps',
       icon: Eye,
-      status: 'processing',
+      status: 'pending',
       progress: 0
     },
     {
@@ -49,18 +147,46 @@ const ProcessingPage = () => {
     },
     {
       id: 'upscaling',
-      name: 'AI Upscaling & Enhancement',
-      description: 'Enhancing to 4K+ resolution with Real-ESRGAN',
+      name: 'Upscaling & Enhancement',
+      description: 'Resampling each eye to the output resolution, with optional denoising and sharpening',
       icon: Zap,
       status: 'pending',
       progress: 0
+    },
+    {
+      id: 'encode',
+      name: 'Video Encoding',
+      description: 'Encoding the converted frames into VR180 video segments',
+      icon: Layers,
+      status: 'pending',
+      progress: 0
+    },
+    {
+      id: 'output',
+      name: 'Final Assembly',
+      description: 'Joining the segments and adding back the original audio',
+      icon: Package,
+      status: 'pending',
+      progress: 0
     }
   ]);
   
   const [overallProgress, setOverallProgress] = useState(0);
+  const [eta, setEta] = useState<Eta | null>(null);
   const [isCompleted, setIsCompleted] = useState(false);
   const [downloadUrl, setDownloadUrl] = useState<string | null>(null);
   const [error, setError] = useState<string | null>(null);
+  const [errorDetails, setErrorDetails] = useState<{ code: string; message: string }[]>([]);
+  const [canRetry, setCanRetry] = useState(false);
+  const [isRetrying, setIsRetrying] = useState(false);
+  // Bumped by a retry to open a fresh status stream
+  const [attempt, setAttempt] = useState(0);
+  const [frames, setFrames] = useState<{ done: number; total: number } | null>(null);
+  const [queue, setQueue] = useState<{ position: number; estimatedStartTime: string | null } | null>(null);
+  const [isCancelled, setIsCancelled] = useState(false);
+  const [expiresAt, setExpiresAt] = useState<string | null>(null);
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [logs, setLogs] = useState<LogEntry[]>([]);
 
   useEffect(() => {
     if (!jobId) {
@@ -68,41 +194,87 @@ const ProcessingPage = () => {
       return;
     }
 
+    // Applies a status snapshot or progress event from the backend
+    const applyJobData = (jobData: JobData) => {
+      // Update stages based on real backend data
+      if (jobData.stages) {
+        setStages(prevStages => {
+          const hasDownload = jobData.stages?.some(s => s.name === 'download') && !prevStages.some(s => s.id === 'download');
+          const hasStreaming = jobData.stages?.some(s => s.name === 'streaming') && !prevStages.some(s => s.id === 'streaming');
+          return [
+            ...(hasDownload ? [DOWNLOAD_STAGE] : []),
+            ...prevStages,
+            ...(hasStreaming ? [STREAMING_STAGE] : [])
+          ].map(stage => {
+            const backendStage = jobData.stages?.find(s => s.name === stage.id);
+            if (backendStage) {
+              return {
+                ...stage,
+                status: backendStage.status,
+                progress: backendStage.progress || 0,
+                durationMs: backendStage.durationMs
+              };
+            }
+            return stage;
+          });
+        });
+      }
+
+      if (jobData.frames) {
+        setFrames(jobData.frames);
+      }
+
+      // Replaces the generic description once the stage has started
+      const { upscaling } = jobData;
+      if (upscaling) {
+        setStages(prevStages => prevStages.map(stage => (
+          stage.id === 'upscaling' ? { ...stage, description: describeUpscaling(upscaling) } : stage
+        )));
+      }
+
+      // The backend weights stages by how long they take
+      if (jobData.overallProgress !== undefined) {
+        setOverallProgress(Math.min(jobData.overallProgress, 100));
+      }
+      if (jobData.eta !== undefined) {
+        setEta(jobData.eta);
+      }
+
+      // Progress events carry no status
+      if (!jobData.status) {
+        return;
+      }
+
+      if (jobData.status === 'queued') {
+        setQueue({ position: jobData.queuePosition ?? 0, estimatedStartTime: jobData.estimatedStartTime ?? null });
+      } else {
+        setQueue(null);
+      }
+
+      // Check if job is completed
+      if (jobData.status === 'completed') {
+        setIsCompleted(true);
+        setDownloadUrl(`/api/download/${jobId}`);
+        setExpiresAt(jobData.expiresAt || null);
+      } else if (jobData.status === 'expired') {
+        setError('This video has expired and was deleted from the server. Please upload it again.');
+      } else if (jobData.status === 'failed' || jobData.status === 'interrupted') {
+        setError(jobData.error || (jobData.status === 'interrupted'
+          ? 'Processing was interrupted by a server restart'
+          : 'Processing failed'));
+        setErrorDetails(jobData.errorDetails || []);
+        setCanRetry(true);
+      } else if (jobData.status === 'cancelled') {
+        setIsCancelled(true);
+      }
+    };
+
     // Real API polling for job status
     const pollJobStatus = async () => {
       try {
         const response = await fetch(`/api/status/${jobId}`);
         if (response.ok) {
-          const jobData = await response.json();
-
-          // Update stages based on real backend data
-          setStages(prevStages => {
-            return prevStages.map(stage => {
-              const backendStage = jobData.stages?.find((s: any) => s.name === stage.id);
-              if (backendStage) {
-                return {
-                  ...stage,
-                  status: backendStage.status,
-                  progress: backendStage.progress || 0
-                };
-              }
-              return stage;
-            });
-          });
-
-          // Calculate overall progress
-          const completedStages = stages.filter(s => s.status === 'completed').length;
-          const processingStages = stages.filter(s => s.status === 'processing').length;
-          const overall = (completedStages * 100 + processingStages * 50) / stages.length;
-          setOverallProgress(Math.min(overall, 100));
-
-          // Check if job is completed
-          if (jobData.status === 'completed') {
-            setIsCompleted(true);
-            setDownloadUrl(`/api/download/${jobId}`);
-          } else if (jobData.status === 'error') {
-            setError(jobData.error || 'Processing failed');
-          }
+          applyJobData(await response.json());
         } else {
           setError('Failed to fetch job status');
         }
@@ -111,12 +283,87 @@ const ProcessingPage = () => {
       }
     };
 
-    // Poll immediately and then every 5 seconds
-    pollJobStatus();
-    const interval = setInterval(pollJobStatus, 5000);
+    let interval: ReturnType<typeof setInterval> | null = null;
+    const startPolling = () => {
+      if (interval) return;
+      // Poll immediately and then every 5 seconds
+      pollJobStatus();
+      interval = setInterval(pollJobStatus, 5000);
+    };
+
+    // Live updates over Server-Sent Events, polling if they are unavailable
+    let events: EventSource | null = null;
+    if (typeof EventSource !== 'undefined') {
+      events = new EventSource(`/api/status/${jobId}/events`);
+      const source = events;
+
+      source.addEventListener('status', (event) => applyJobData(JSON.parse((event as MessageEvent).data)));
+      source.addEventListener('progress', (event) => applyJobData(JSON.parse((event as MessageEvent).data)));
+      source.addEventListener('log', (event) => {
+        const entry = JSON.parse((event as MessageEvent).data);
+        setLogs(prevLogs => [...prevLogs.slice(-(MAX_LOG_LINES - 1)), entry]);
+      });
+      source.addEventListener('done', (event) => {
+        applyJobData(JSON.parse((event as MessageEvent).data));
+        source.close();
+      });
+      source.onerror = () => {
+        source.close();
+        startPolling();
+      };
+    } else {
+      startPolling();
+    }
+
+    return () => {
+      events?.close();
+      if (interval) clearInterval(interval);
+    };
+  }, [jobId, navigate, attempt]);
+
+  // Resumes a failed or interrupted job from its last checkpoint
+  const retryJob = async () => {
+    setIsRetrying(true);
+    try {
+      const response = await fetch(`/api/jobs/${jobId}/retry`, { method: 'POST' });
+      const data = await response.json();
+      if (response.ok) {
+        setError(null);
+        setErrorDetails([]);
+        setCanRetry(false);
+        setQueue({ position: data.queuePosition ?? 0, estimatedStartTime: null });
+        setAttempt(prevAttempt => prevAttempt + 1);
+      } else {
+        setError(data.error || 'Failed to retry job');
+        setCanRetry(false);
+      }
+    } catch {
+      setError('Failed to connect to processing server');
+    } finally {
+      setIsRetrying(false);
+    }
+  };
+
+  const cancelJob = async () => {
+    if (!window.confirm('Cancel this conversion? The uploaded video will be deleted.')) {
+      return;
+    }
 
-    return () => clearInterval(interval);
-  }, [jobId, navigate]);
+    setIsCancelling(true);
+    try {
+      const response = await fetch(`/api/jobs/${jobId}`, { method: 'DELETE' });
+      if (response.ok) {
+        setIsCancelled(true);
+      } else {
+        const data = await response.json();
+        setError(data.error || 'Failed to cancel job');
+      }
+    } catch {
+      setError('Failed to connect to processing server');
+    } finally {
+      setIsCancelling(false);
+    }
+  };
 
   const getStatusIcon = (status: string) => {
     switch (status) {
@@ -139,11 +386,52 @@ const ProcessingPage = () => {
             <AlertCircle className="h-16 w-16 text-red-400 mx-auto mb-6" />
             <h2 className="text-3xl font-bold text-white mb-4">Processing Failed</h2>
             <p className="text-red-200 mb-6">{error}</p>
+            {errorDetails.length > 0 && (
+              <ul className="text-sm text-red-200 mb-6 space-y-1">
+                {errorDetails.map(problem => (
+                  <li key={problem.code}>{problem.message}</li>
+                ))}
+              </ul>
+            )}
+            <div className="flex flex-col sm:flex-row gap-4 justify-center">
+              {canRetry && (
+                <button
+                  onClick={retryJob}
+                  disabled={isRetrying}
+                  className="inline-flex items-center justify-center space-x-2 bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-700 hover:to-blue-700 text-white px-8 py-3 rounded-full font-semibold transition-all duration-300 disabled:opacity-50"
+                >
+                  <RotateCcw className="h-4 w-4" />
+                  <span>{isRetrying ? 'Retrying...' : 'Resume Conversion'}</span>
+                </button>
+              )}
+              <Link
+                to="/upload"
+                className={canRetry
+                  ? 'border-2 border-white/30 hover:border-white/60 text-white px-8 py-3 rounded-full font-semibold transition-all duration-300 hover:bg-white/10'
+                  : 'bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-700 hover:to-blue-700 text-white px-8 py-3 rounded-full font-semibold transition-all duration-300'}
+              >
+                {canRetry ? 'Upload Another Video' : 'Try Again'}
+              </Link>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (isCancelled) {
+    return (
+      <div className="min-h-screen pt-20 pb-12 flex items-center justify-center">
+        <div className="max-w-2xl mx-auto px-4 text-center">
+          <div className="bg-white/5 border border-white/10 rounded-2xl p-8">
+            <XCircle className="h-16 w-16 text-gray-400 mx-auto mb-6" />
+            <h2 className="text-3xl font-bold text-white mb-4">Conversion Cancelled</h2>
+            <p className="text-gray-300 mb-6">The job was stopped and its files have been removed.</p>
             <Link
               to="/upload"
               className="bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-700 hover:to-blue-700 text-white px-8 py-3 rounded-full font-semibold transition-all duration-300"
             >
-              Try Again
+              Upload Another Video
             </Link>
           </div>
         </div>
@@ -164,16 +452,39 @@ const ProcessingPage = () => {
 
         <div className="text-center mb-12">
           <h1 className="text-4xl md:text-5xl font-bold text-white mb-6">
-            {isCompleted ? 'Conversion Complete!' : 'Processing Your Video'}
+            {isCompleted ? 'Conversion Complete!' : queue ? 'Waiting in Queue' : 'Processing Your Video'}
           </h1>
           <p className="text-xl text-gray-300">
             {isCompleted 
               ? 'Your VR180 video is ready for download and viewing'
+              : queue
+              ? 'Other videos are being converted first. Processing will start automatically.'
               : 'Our AI pipeline is transforming your 2D video into an immersive VR180 experience'
             }
           </p>
         </div>
 
+        {/* Queue Status */}
+        {queue && (
+          <div className="bg-white/5 backdrop-blur-lg rounded-2xl p-8 border border-blue-400/30 mb-8">
+            <div className="flex items-center space-x-4">
+              <div className="p-3 rounded-lg bg-blue-500/20">
+                <Clock className="h-6 w-6 text-blue-400" />
+              </div>
+              <div className="flex-1">
+                <h3 className="text-xl font-semibold text-white">
+                  Position {queue.position} in queue
+                </h3>
+                {queue.estimatedStartTime && (
+                  <p className="text-sm text-gray-400 mt-1">
+                    Estimated start: {new Date(queue.estimatedStartTime).toLocaleTimeString()}
+                  </p>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Overall Progress */}
         <div className="bg-white/5 backdrop-blur-lg rounded-2xl p-8 border border-white/10 mb-8">
           <div className="flex items-center justify-between mb-4">
@@ -186,6 +497,18 @@ const ProcessingPage = () => {
               style={{ width: `${overallProgress}%` }}
             ></div>
           </div>
+          {frames && frames.total > 0 && (
+            <p className="text-sm text-gray-400 mt-3">
+              {frames.done.toLocaleString()} of {frames.total.toLocaleString()} frames converted
+            </p>
+          )}
+          {eta && !isCompleted && (
+            <p className="text-sm text-gray-400 mt-1">
+              About {formatDuration(eta.remainingMs)} remaining
+              (done around {new Date(eta.estimatedCompletionTime).toLocaleTimeString()})
+              {eta.basis !== 'measured' && '. The estimate gets more accurate once processing is under way.'}
+            </p>
+          )}
         </div>
 
         {/* Processing Stages */}
@@ -226,6 +549,11 @@ const ProcessingPage = () => {
                       {getStatusIcon(stage.status)}
                     </div>
                     <p className="text-gray-300 text-sm mb-2">{stage.description}</p>
+                    {stage.durationMs !== undefined && stage.status !== 'pending' && (
+                      <p className="text-xs text-gray-400 mb-2">
+                        {stage.status === 'completed' ? 'Took' : 'Running for'} {formatDuration(stage.durationMs)}
+                      </p>
+                    )}
                     
                     {stage.status === 'processing' && (
                       <div className="w-full bg-gray-700 rounded-full h-2">
@@ -242,6 +570,36 @@ const ProcessingPage = () => {
           })}
         </div>
 
+        {/* Pipeline Log */}
+        {logs.length > 0 && (
+          <details className="bg-black/30 rounded-xl border border-white/10 mb-8">
+            <summary className="cursor-pointer px-6 py-3 text-sm text-gray-300">Pipeline log</summary>
+            <div className="px-6 pb-4 max-h-64 overflow-y-auto font-mono text-xs space-y-1">
+              {logs.map((entry, index) => (
+                <p
+                  key={index}
+                  className={entry.level === 'error' ? 'text-red-300' : entry.level === 'warn' ? 'text-yellow-300' : 'text-gray-400'}
+                >
+                  {new Date(entry.time).toLocaleTimeString()} {entry.message}
+                </p>
+              ))}
+            </div>
+          </details>
+        )}
+
+        {!isCompleted && (
+          <div className="text-center mb-8">
+            <button
+              onClick={cancelJob}
+              disabled={isCancelling}
+              className="inline-flex items-center space-x-2 border border-red-400/50 hover:bg-red-500/10 text-red-300 px-6 py-2 rounded-full font-semibold transition-all duration-300 disabled:opacity-50"
+            >
+              <XCircle className="h-4 w-4" />
+              <span>{isCancelling ? 'Cancelling...' : 'Cancel Conversion'}</span>
+            </button>
+          </div>
+        )}
+
         {/* Completion Actions */}
         {isCompleted && (
           <div className="bg-gradient-to-r from-green-500/20 to-blue-500/20 backdrop-blur-lg rounded-2xl p-8 border border-green-500/20">
@@ -251,6 +609,11 @@ const ProcessingPage = () => {
               <p className="text-gray-300">
                 Your video has been successfully converted to an immersive VR180 experience with AI-enhanced quality.
               </p>
+              {expiresAt && (
+                <p className="text-sm text-yellow-300">
+                  Download it before {new Date(expiresAt).toLocaleString()}, when it will be deleted from our servers.
+                </p>
+              )}
               
               <div className="flex flex-col sm:flex-row gap-4 justify-center">
                 {downloadUrl && (
@@ -1,15 +1,103 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Upload, Film, CheckCircle, AlertCircle, ArrowLeft } from 'lucide-react';
+import { Upload, Film, CheckCircle, AlertCircle, ArrowLeft, SlidersHorizontal, ChevronDown } from 'lucide-react';
 import { Link } from 'react-router-dom';
 
+// Conversion options understood by /api/upload (see GET /api/options)
+interface ConversionOptions {
+  outputLayout: 'sbs' | 'tb';
+  eyeResolution: string | number;
+  stereoBaseline: number;
+  zeroParallaxDepth: number;
+  sourceFov: number | null;
+  blurStrength: number;
+  videoCodec: 'h264' | 'h265';
+  videoBitrate: string | null;
+  streamingFormat: 'none' | 'hls' | 'dash' | 'both';
+}
+
+const DEFAULT_OPTIONS: ConversionOptions = {
+  outputLayout: 'sbs',
+  eyeResolution: '4k',
+  stereoBaseline: 0.03,
+  zeroParallaxDepth: 0.5,
+  sourceFov: null,
+  blurStrength: 0.5,
+  videoCodec: 'h264',
+  videoBitrate: null,
+  streamingFormat: 'none'
+};
+
+interface Preset {
+  name: string;
+  description: string;
+  options: Partial<ConversionOptions> & Record<string, unknown>;
+  builtIn: boolean;
+}
+
+const API_BASE = 'https://vr-final.onrender.com';
+
+// Form values for a preset: defaults overlaid with the preset's options
+const presetBaseline = (preset?: Preset): ConversionOptions => ({
+  ...DEFAULT_OPTIONS,
+  ...Object.fromEntries(Object.entries(preset?.options ?? {}).filter(([name]) => name in DEFAULT_OPTIONS))
+});
+
+const EYE_RESOLUTION_PRESETS = ['4k', '5.7k', '8k'];
+
+// Uploads are resumable: the file goes up in pieces of this size, and after a
+// network error the upload continues from what reached the server
+const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024;
+const MAX_FILE_SIZE_GB = 10;
+// Several files go up together in one request, which has smaller limits
+const MAX_BATCH_FILES = 50;
+const MAX_BATCH_FILE_SIZE_MB = 500;
+// Network errors in a row before giving up
+const MAX_UPLOAD_RETRIES = 8;
+
+// Unfinished uploads are remembered per file, so trying again continues them
+const uploadKey = (file: File) => `palace-upload:${file.name}:${file.size}:${file.lastModified}`;
+
+const wait = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The server refused the upload; retrying the same request will not help
+class UploadRejectedError extends Error {}
+
+const rejectionMessage = (result: { error?: string; details?: { message: string }[] } | null) =>
+  result?.details?.map(detail => detail.message).join('; ') || result?.error || 'Upload failed. Please try again.';
+
 const UploadPage = () => {
   const [dragActive, setDragActive] = useState(false);
-  const [file, setFile] = useState<File | null>(null);
+  const [files, setFiles] = useState<File[]>([]);
   const [uploading, setUploading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(0);
+  const [reconnecting, setReconnecting] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  const [options, setOptions] = useState<ConversionOptions>(DEFAULT_OPTIONS);
+  const [presets, setPresets] = useState<Preset[]>([]);
+  const [presetName, setPresetName] = useState('');
   const navigate = useNavigate();
 
+  useEffect(() => {
+    fetch(`${API_BASE}/api/presets`)
+      .then(response => (response.ok ? response.json() : []))
+      .then(setPresets)
+      .catch(() => setPresets([]));
+  }, []);
+
+  // The form starts from the selected preset; only changes on top of it are sent
+  const baseline = presetBaseline(presets.find(preset => preset.name === presetName));
+
+  const selectPreset = (name: string) => {
+    setPresetName(name);
+    setOptions(presetBaseline(presets.find(preset => preset.name === name)));
+  };
+
+  const setOption = <K extends keyof ConversionOptions>(name: K, value: ConversionOptions[K]) => {
+    setOptions(prev => ({ ...prev, [name]: value }));
+  };
+
   const handleDrag = useCallback((e: React.DragEvent) => {
     e.preventDefault();
     e.stopPropagation();
@@ -25,62 +113,185 @@ const UploadPage = () => {
     e.stopPropagation();
     setDragActive(false);
     
-    if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      const droppedFile = e.dataTransfer.files[0];
-      validateAndSetFile(droppedFile);
+    if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
+      validateAndSetFiles(Array.from(e.dataTransfer.files));
     }
   }, []);
 
   const handleFileSelect = (e: React.ChangeEvent<HTMLInputElement>) => {
-    if (e.target.files && e.target.files[0]) {
-      validateAndSetFile(e.target.files[0]);
+    if (e.target.files && e.target.files.length > 0) {
+      validateAndSetFiles(Array.from(e.target.files));
     }
   };
 
-  const validateAndSetFile = (selectedFile: File) => {
+  const validateAndSetFiles = (selectedFiles: File[]) => {
     setError(null);
     
     // Check file type
     const allowedTypes = ['video/mp4', 'video/mov', 'video/avi', 'video/quicktime'];
-    if (!allowedTypes.includes(selectedFile.type)) {
-      setError('Please upload a valid video file (MP4, MOV, AVI)');
+    const invalid = selectedFiles.find(selectedFile => !allowedTypes.includes(selectedFile.type));
+    if (invalid) {
+      setError(`${invalid.name} is not a valid video file (MP4, MOV, AVI)`);
       return;
     }
     
-    // Check file size (max 500MB)
-    const maxSize = 500 * 1024 * 1024; // 500MB
-    if (selectedFile.size > maxSize) {
-      setError('File size must be less than 500MB');
-      return;
+    // Check file size
+    if (selectedFiles.length === 1) {
+      const maxSize = MAX_FILE_SIZE_GB * 1024 * 1024 * 1024;
+      if (selectedFiles[0].size > maxSize) {
+        setError(`File size must be less than ${MAX_FILE_SIZE_GB}GB`);
+        return;
+      }
+    } else {
+      if (selectedFiles.length > MAX_BATCH_FILES) {
+        setError(`Please select at most ${MAX_BATCH_FILES} videos at once`);
+        return;
+      }
+      const tooLarge = selectedFiles.find(selectedFile => selectedFile.size > MAX_BATCH_FILE_SIZE_MB * 1024 * 1024);
+      if (tooLarge) {
+        setError(`${tooLarge.name} is too large for a batch (max ${MAX_BATCH_FILE_SIZE_MB}MB each). Upload it on its own instead.`);
+        return;
+      }
     }
     
-    setFile(selectedFile);
+    setFiles(selectedFiles);
+  };
+
+  // Opens an upload on the server, or picks up an unfinished one for the same
+  // file and settings
+  const openUpload = async (selectedFile: File, settings: string) => {
+    const saved = JSON.parse(localStorage.getItem(uploadKey(selectedFile)) || 'null');
+    if (saved?.settings === settings) {
+      const response = await fetch(`${API_BASE}/api/uploads/${saved.uploadId}`);
+      if (response.ok) {
+        return response.json();
+      }
+    }
+
+    const response = await fetch(`${API_BASE}/api/uploads`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        filename: selectedFile.name,
+        size: selectedFile.size,
+        mimeType: selectedFile.type,
+        ...JSON.parse(settings)
+      })
+    });
+    const result = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new UploadRejectedError(rejectionMessage(result));
+    }
+    localStorage.setItem(uploadKey(selectedFile), JSON.stringify({ uploadId: result.uploadId, settings }));
+    return result;
+  };
+
+  // Sends the file piece by piece and returns the job id
+  const sendFile = async (selectedFile: File, uploadId: string, startOffset: number) => {
+    let offset = startOffset;
+    let failures = 0;
+
+    for (;;) {
+      try {
+        const response = await fetch(`${API_BASE}/api/uploads/${uploadId}`, {
+          method: 'PATCH',
+          headers: {
+            'Content-Type': 'application/offset+octet-stream',
+            'Upload-Offset': String(offset)
+          },
+          body: selectedFile.slice(offset, offset + UPLOAD_CHUNK_SIZE)
+        });
+        const result = await response.json().catch(() => null);
+
+        // The server has a different offset, e.g. after a dropped request
+        if (response.status === 409 && typeof result?.offset === 'number') {
+          offset = result.offset;
+          continue;
+        }
+        if (response.status === 404) {
+          localStorage.removeItem(uploadKey(selectedFile));
+          throw new UploadRejectedError('The upload expired on the server. Please try again.');
+        }
+        if (!response.ok) {
+          // Still busy with the request that was cut off; try again shortly
+          if (response.status === 409) throw new Error(result?.error);
+          throw new UploadRejectedError(rejectionMessage(result));
+        }
+
+        failures = 0;
+        setReconnecting(false);
+        if (result.jobId) {
+          return result.jobId as string;
+        }
+        offset = result.offset;
+        setUploadProgress(offset / selectedFile.size);
+      } catch (uploadError) {
+        if (uploadError instanceof UploadRejectedError || ++failures > MAX_UPLOAD_RETRIES) {
+          throw uploadError;
+        }
+        setReconnecting(true);
+        await wait(Math.min(30000, 1000 * 2 ** failures));
+
+        // Carry on from whatever reached the server
+        offset = await fetch(`${API_BASE}/api/uploads/${uploadId}`)
+          .then(response => (response.ok ? response.json() : null))
+          .then(session => session?.offset ?? offset)
+          .catch(() => offset);
+      }
+    }
+  };
+
+  // Several videos go up in one request and become a batch of jobs
+  const uploadBatch = async (changed: Record<string, unknown>) => {
+    const formData = new FormData();
+    files.forEach(selectedFile => formData.append('video', selectedFile));
+    if (presetName) {
+      formData.append('preset', presetName);
+    }
+    formData.append('options', JSON.stringify(changed));
+
+    const response = await fetch(`${API_BASE}/api/batches`, { method: 'POST', body: formData });
+    const result = await response.json().catch(() => null);
+    if (!response.ok) {
+      const rejected = result?.rejected?.map((file: { filename: string }) => file.filename).join(', ');
+      throw new UploadRejectedError(rejected ? `${result.error}: ${rejected}` : rejectionMessage(result));
+    }
+    navigate(`/batch/${result.batchId}`, { state: { rejected: result.rejected } });
   };
 
   const handleUpload = async () => {
-    if (!file) return;
+    if (files.length === 0) return;
+    const file = files[0];
     
     setUploading(true);
+    setUploadProgress(0);
     setError(null);
     
     try {
-      const formData = new FormData();
-      formData.append('video', file);
-      
-      const response = await fetch('https://vr-final.onrender.com/api/upload', {
-        method: 'POST',
-        body: formData,
-      });
-      
-      if (!response.ok) {
-        throw new Error('Upload failed');
+      // Only send what differs from the defaults (or the chosen preset)
+      const changed = Object.fromEntries(
+        Object.entries(options).filter(([name, value]) => value !== baseline[name as keyof ConversionOptions])
+      );
+
+      if (files.length > 1) {
+        await uploadBatch(changed);
+        return;
       }
-      
-      const result = await response.json();
-      navigate(`/processing/${result.jobId}`);
-    } catch {
-      setError('Upload failed. Please try again.');
+
+      const settings = JSON.stringify({ preset: presetName || undefined, options: changed });
+      const session = await openUpload(file, settings);
+      setUploadProgress(session.offset / file.size);
+      const jobId = await sendFile(file, session.uploadId, session.offset);
+
+      localStorage.removeItem(uploadKey(file));
+      navigate(`/processing/${jobId}`);
+    } catch (uploadError) {
+      setError(uploadError instanceof UploadRejectedError
+        ? uploadError.message
+        : 'Upload failed. Check your connection and try again; the upload will continue where it stopped.');
       setUploading(false);
+    } finally {
+      setReconnecting(false);
     }
   };
 
@@ -113,7 +324,7 @@ const UploadPage = () => {
         </div>
 
         <div className="bg-white/5 backdrop-blur-lg rounded-2xl p-8 border border-white/10">
-          {!file ? (
+          {files.length === 0 ? (
             <div
               className={`border-2 border-dashed rounded-xl p-12 text-center transition-all duration-300 ${
                 dragActive 
@@ -127,7 +338,7 @@ const UploadPage = () => {
             >
               <Upload className="h-16 w-16 text-gray-400 mx-auto mb-6" />
               <h3 className="text-2xl font-semibold text-white mb-4">
-                Drop your video here
+                Drop your videos here
               </h3>
               <p className="text-gray-300 mb-6">
                 or click to browse your files
@@ -136,6 +347,7 @@ const UploadPage = () => {
               <input
                 type="file"
                 accept="video/*"
+                multiple
                 onChange={handleFileSelect}
                 className="hidden"
                 id="file-upload"
@@ -144,24 +356,33 @@ const UploadPage = () => {
                 htmlFor="file-upload"
                 className="bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-700 hover:to-blue-700 text-white px-8 py-3 rounded-full font-semibold cursor-pointer transition-all duration-300 inline-block"
               >
-                Choose Video File
+                Choose Video Files
               </label>
               
               <div className="mt-6 text-sm text-gray-400">
                 <p>Supported formats: MP4, MOV, AVI</p>
-                <p>Maximum file size: 500MB</p>
+                <p>Maximum file size: {MAX_FILE_SIZE_GB}GB ({MAX_BATCH_FILE_SIZE_MB}MB each when converting several at once)</p>
               </div>
             </div>
           ) : (
             <div className="space-y-6">
-              <div className="flex items-center space-x-4 p-4 bg-white/5 rounded-lg">
-                <Film className="h-12 w-12 text-purple-400" />
-                <div className="flex-1">
-                  <h3 className="text-lg font-semibold text-white">{file.name}</h3>
-                  <p className="text-gray-300">{formatFileSize(file.size)}</p>
-                </div>
-                <CheckCircle className="h-6 w-6 text-green-400" />
+              <div className="space-y-2 max-h-72 overflow-y-auto">
+                {files.map(selectedFile => (
+                  <div key={`${selectedFile.name}-${selectedFile.lastModified}`} className="flex items-center space-x-4 p-4 bg-white/5 rounded-lg">
+                    <Film className="h-12 w-12 text-purple-400" />
+                    <div className="flex-1">
+                      <h3 className="text-lg font-semibold text-white">{selectedFile.name}</h3>
+                      <p className="text-gray-300">{formatFileSize(selectedFile.size)}</p>
+                    </div>
+                    <CheckCircle className="h-6 w-6 text-green-400" />
+                  </div>
+                ))}
               </div>
+              {files.length > 1 && (
+                <p className="text-sm text-gray-400">
+                  {files.length} videos will be converted with the same settings
+                </p>
+              )}
               
               <div className="bg-blue-500/10 border border-blue-500/20 rounded-lg p-6">
                 <h4 className="text-lg font-semibold text-white mb-3">Processing Pipeline</h4>
@@ -192,6 +413,163 @@ const UploadPage = () => {
                 </p>
               </div>
               
+              <div className="border border-white/10 rounded-lg">
+                <button
+                  type="button"
+                  onClick={() => setShowAdvanced(!showAdvanced)}
+                  className="w-full flex items-center justify-between p-4 text-white"
+                >
+                  <span className="flex items-center space-x-2 font-semibold">
+                    <SlidersHorizontal className="h-5 w-5 text-purple-400" />
+                    <span>Advanced settings</span>
+                  </span>
+                  <ChevronDown className={`h-5 w-5 transition-transform ${showAdvanced ? 'rotate-180' : ''}`} />
+                </button>
+
+                {showAdvanced && (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4 p-4 pt-0 text-sm">
+                    {presets.length > 0 && (
+                      <label className="space-y-1 md:col-span-2">
+                        <span className="text-gray-300">Preset</span>
+                        <select
+                          value={presetName}
+                          onChange={(e) => selectPreset(e.target.value)}
+                          className="w-full bg-gray-800 border border-gray-600 rounded-lg px-3 py-2 text-white"
+                        >
+                          <option value="">None (server defaults)</option>
+                          {presets.map(preset => (
+                            <option key={preset.name} value={preset.name}>
+                              {preset.name}{preset.description ? ` - ${preset.description}` : ''}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                    )}
+
+                    <label className="space-y-1">
+                      <span className="text-gray-300">Layout</span>
+                      <select
+                        value={options.outputLayout}
+                        onChange={(e) => setOption('outputLayout', e.target.value as ConversionOptions['outputLayout'])}
+                        className="w-full bg-gray-800 border border-gray-600 rounded-lg px-3 py-2 text-white"
+                      >
+                        <option value="sbs">Side-by-side</option>
+                        <option value="tb">Top-bottom</option>
+                      </select>
+                    </label>
+
+                    <label className="space-y-1">
+                      <span className="text-gray-300">Per-eye resolution</span>
+                      <select
+                        value={options.eyeResolution}
+                        onChange={(e) => {
+                          const value = e.target.value;
+                          setOption('eyeResolution', EYE_RESOLUTION_PRESETS.includes(value) ? value : Number(value));
+                        }}
+                        className="w-full bg-gray-800 border border-gray-600 rounded-lg px-3 py-2 text-white"
+                      >
+                        <option value="4k">4K (1920 per eye)</option>
+                        <option value="5.7k">5.7K (2880 per eye)</option>
+                        <option value="8k">8K (4096 per eye)</option>
+                        {/* Presets may use a custom pixel size */}
+                        {typeof baseline.eyeResolution === 'number' && (
+                          <option value={baseline.eyeResolution}>{baseline.eyeResolution} per eye</option>
+                        )}
+                      </select>
+                    </label>
+
+                    <label className="space-y-1">
+                      <span className="text-gray-300">Stereo baseline: {options.stereoBaseline.toFixed(3)}</span>
+                      <input
+                        type="range"
+                        min={0}
+                        max={0.1}
+                        step={0.005}
+                        value={options.stereoBaseline}
+                        onChange={(e) => setOption('stereoBaseline', Number(e.target.value))}
+                        className="w-full"
+                      />
+                    </label>
+
+                    <label className="space-y-1">
+                      <span className="text-gray-300">Convergence depth: {options.zeroParallaxDepth.toFixed(2)}</span>
+                      <input
+                        type="range"
+                        min={0}
+                        max={1}
+                        step={0.05}
+                        value={options.zeroParallaxDepth}
+                        onChange={(e) => setOption('zeroParallaxDepth', Number(e.target.value))}
+                        className="w-full"
+                      />
+                    </label>
+
+                    <label className="space-y-1">
+                      <span className="text-gray-300">Source FOV (degrees)</span>
+                      <input
+                        type="number"
+                        min={10}
+                        max={179}
+                        placeholder="Auto (smartphone main camera)"
+                        value={options.sourceFov ?? ''}
+                        onChange={(e) => setOption('sourceFov', e.target.value === '' ? null : Number(e.target.value))}
+                        className="w-full bg-gray-800 border border-gray-600 rounded-lg px-3 py-2 text-white"
+                      />
+                    </label>
+
+                    <label className="space-y-1">
+                      <span className="text-gray-300">Edge blur strength: {options.blurStrength.toFixed(2)}</span>
+                      <input
+                        type="range"
+                        min={0}
+                        max={1}
+                        step={0.05}
+                        value={options.blurStrength}
+                        onChange={(e) => setOption('blurStrength', Number(e.target.value))}
+                        className="w-full"
+                      />
+                    </label>
+
+                    <label className="space-y-1">
+                      <span className="text-gray-300">Codec</span>
+                      <select
+                        value={options.videoCodec}
+                        onChange={(e) => setOption('videoCodec', e.target.value as ConversionOptions['videoCodec'])}
+                        className="w-full bg-gray-800 border border-gray-600 rounded-lg px-3 py-2 text-white"
+                      >
+                        <option value="h264">H.264 (most compatible)</option>
+                        <option value="h265">H.265 / HEVC (smaller files)</option>
+                      </select>
+                    </label>
+
+                    <label className="space-y-1">
+                      <span className="text-gray-300">Bitrate</span>
+                      <input
+                        type="text"
+                        placeholder="Constant quality, or e.g. 40M"
+                        value={options.videoBitrate ?? ''}
+                        onChange={(e) => setOption('videoBitrate', e.target.value.trim() === '' ? null : e.target.value.trim())}
+                        className="w-full bg-gray-800 border border-gray-600 rounded-lg px-3 py-2 text-white"
+                      />
+                    </label>
+
+                    <label className="space-y-1">
+                      <span className="text-gray-300">Streaming</span>
+                      <select
+                        value={options.streamingFormat}
+                        onChange={(e) => setOption('streamingFormat', e.target.value as ConversionOptions['streamingFormat'])}
+                        className="w-full bg-gray-800 border border-gray-600 rounded-lg px-3 py-2 text-white"
+                      >
+                        <option value="none">MP4 only</option>
+                        <option value="hls">HLS (fast start in the browser)</option>
+                        <option value="dash">DASH</option>
+                        <option value="both">HLS and DASH</option>
+                      </select>
+                    </label>
+                  </div>
+                )}
+              </div>
+              
               <div className="flex space-x-4">
                 <button
                   onClick={handleUpload}
@@ -201,7 +579,13 @@ const UploadPage = () => {
                   {uploading ? (
                     <>
                       <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
-                      <span>Uploading...</span>
+                      <span>
+                        {files.length > 1
+                          ? `Uploading ${files.length} videos...`
+                          : reconnecting
+                          ? 'Connection lost, resuming...'
+                          : `Uploading... ${Math.round(uploadProgress * 100)}%`}
+                      </span>
                     </>
                   ) : (
                     <>
@@ -211,7 +595,7 @@ const UploadPage = () => {
                 </button>
                 
                 <button
-                  onClick={() => setFile(null)}
+                  onClick={() => setFiles([])}
                   className="px-6 py-4 border border-gray-600 hover:border-gray-500 text-gray-300 hover:text-white rounded-lg transition-colors"
                 >
                   Remove
@@ -15,8 +15,42 @@ declare global {
       'a-sky': any;
     }
   }
+
+  interface Window {
+    Hls?: HlsConstructor;
+  }
+}
+
+// The parts of hls.js used here. Like A-Frame it is loaded from a CDN, and
+// only when a stream needs it.
+interface HlsPlayer {
+  loadSource(url: string): void;
+  attachMedia(media: HTMLMediaElement): void;
+  on(event: string, handler: (event: string, data: { fatal: boolean }) => void): void;
+  destroy(): void;
+}
+
+interface HlsConstructor {
+  new (): HlsPlayer;
+  isSupported(): boolean;
+  Events: { ERROR: string };
 }
 
+const API_BASE = 'https://vr-final.onrender.com';
+const HLS_SCRIPT = 'https://cdn.jsdelivr.net/npm/hls.js@1.5.20/dist/hls.min.js';
+
+const loadHls = () => new Promise<HlsConstructor | undefined>((resolve) => {
+  if (window.Hls) {
+    resolve(window.Hls);
+    return;
+  }
+  const script = document.createElement('script');
+  script.src = HLS_SCRIPT;
+  script.onload = () => resolve(window.Hls);
+  script.onerror = () => resolve(undefined);
+  document.head.appendChild(script);
+});
+
 const VRExperience = () => {
   const [searchParams] = useSearchParams();
   const [isLoading, setIsLoading] = useState(true);
@@ -24,6 +58,10 @@ const VRExperience = () => {
   const [isMuted, setIsMuted] = useState(false);
   const [showControls, setShowControls] = useState(true);
   const [videoUrl, setVideoUrl] = useState<string>('');
+  // Adaptive HLS stream of the same video, when the job has one
+  const [streamUrl, setStreamUrl] = useState<string | null>(null);
+  // The stream broke during playback and the MP4 took over
+  const [streamFailed, setStreamFailed] = useState(false);
 
   // Get video URL from URL parameters
   useEffect(() => {
@@ -34,13 +72,70 @@ const VRExperience = () => {
       setVideoUrl(url);
     } else if (jobId) {
       // If we have a jobId, construct the download URL
-      setVideoUrl(`https://vr-final.onrender.com/api/download/${jobId}`);
+      setVideoUrl(`${API_BASE}/api/download/${jobId}`);
     } else {
       // Fallback to demo video if no URL provided
       setVideoUrl('https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/BigBuckBunny.mp4');
     }
+
+    // Prefer the job's stream, from the same server as the video
+    setStreamUrl(null);
+    setStreamFailed(false);
+    if (!jobId) return;
+    const base = url ? new URL(url, window.location.href).origin : API_BASE;
+    let cancelled = false;
+    fetch(`${base}/api/status/${jobId}`)
+      .then(response => (response.ok ? response.json() : null))
+      .then(job => {
+        if (!cancelled && job?.streaming?.hlsUrl) {
+          setStreamUrl(`${base}${job.streaming.hlsUrl}`);
+        }
+      })
+      .catch(() => {
+        // The MP4 still plays
+      });
+    return () => {
+      cancelled = true;
+    };
   }, [searchParams]);
 
+  // Plays the stream where the browser can, natively (Safari) or through
+  // hls.js, and stays on the MP4 otherwise or if the stream fails
+  useEffect(() => {
+    const video = document.querySelector('#vrVideo') as HTMLVideoElement | null;
+    if (!isVRStarted || !streamUrl || !video) return;
+
+    if (video.canPlayType('application/vnd.apple.mpegurl')) {
+      video.src = streamUrl;
+      return () => {
+        video.removeAttribute('src');
+      };
+    }
+
+    let hls: HlsPlayer | null = null;
+    let stopped = false;
+    loadHls().then(Hls => {
+      if (stopped || !Hls || !Hls.isSupported()) return;
+      const player = new Hls();
+      hls = player;
+      player.on(Hls.Events.ERROR, (_event, data) => {
+        if (!data.fatal) return;
+        setStreamFailed(true);
+        player.destroy();
+        hls = null;
+        video.removeAttribute('src');
+        video.load();
+      });
+      player.loadSource(streamUrl);
+      player.attachMedia(video);
+    });
+
+    return () => {
+      stopped = true;
+      hls?.destroy();
+    };
+  }, [isVRStarted, streamUrl]);
+
   useEffect(() => {
     // Load A-Frame script
     const script = document.createElement('script');
@@ -207,6 +302,12 @@ const VRExperience = () => {
         </div>
       )}
 
+      {streamFailed && showControls && (
+        <div className="absolute top-20 left-1/2 -translate-x-1/2 z-50 bg-black/50 backdrop-blur-sm text-yellow-300 text-sm px-4 py-2 rounded-lg">
+          The adaptive stream could not be played, so the full video file is playing instead.
+        </div>
+      )}
+
       {/* A-Frame VR Scene */}
       <a-scene
         embedded